@@ -0,0 +1,58 @@
+//****************************************************************************************
+//*
+//* Bundles the ES modules of the pages into classic scripts, so that the pages also
+//* work when they are opened from the file system (browsers refuse to load ES modules
+//* from file:// URLs).
+//*
+//*     npm run build
+//*
+//* The bundles are not committed: npm install builds them (prepare script), run the
+//* build again after changing any of the modules.
+//*
+//****************************************************************************************
+
+import {build} from "esbuild";
+import {fileURLToPath} from "node:url";
+
+/**
+ * Root of the repository
+ * @type {string}
+ */
+const root = fileURLToPath(new URL("..", import.meta.url));
+
+/**
+ * Entry point and bundle of each page
+ * @type {Array<{entryPoint: string, outfile: string}>}
+ */
+export const bundles = [
+    {entryPoint: "src/js/main.js", outfile: "src/js/scoreboard.bundle.js"},
+    {entryPoint: "src/js/display.js", outfile: "src/js/display.bundle.js"},
+    {entryPoint: "src/js/overlay.js", outfile: "src/js/overlay.bundle.js"},
+];
+
+/**
+ * Build the bundles
+ * @param write   false to get the bundles without writing them
+ * @returns {Promise<Array<{outfile: string, text: string}>>}
+ */
+export async function buildBundles(write = true) {
+    return Promise.all(bundles.map(async ({entryPoint, outfile}) => {
+        const result = await build({
+            absWorkingDir: root,
+            entryPoints: [entryPoint],
+            outfile: outfile,
+            bundle: true,
+            format: "iife",
+            target: "es2022",
+            charset: "utf8",
+            banner: {js: `// Generated from ${entryPoint} by "npm run build", do not edit.`},
+            write: write,
+            logLevel: "warning",
+        });
+        return {outfile, text: write ? null : result.outputFiles[0].text};
+    }));
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    await buildBundles();
+}
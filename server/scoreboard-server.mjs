@@ -0,0 +1,877 @@
+//****************************************************************************************
+//*
+//* Scoreboard server: one game, several operators.
+//*
+//* A small Node server (no dependencies, only Node's built-in modules) meant to run on
+//* a laptop at the scorer's table, on the local network, without any internet access.
+//* It:
+//*     - serves the scoreboard pages to the phones and tablets of the network;
+//*     - hosts the authoritative game (GameModel of game-engine.mjs), and runs its
+//*       clocks, the way the GameController of a single page does;
+//*     - broadcasts every event of the game over WebSocket to the connected pages,
+//*       which run as "controller" clients (they send actions: scores, fouls,...) or as
+//*       read-only "display" clients.
+//*
+//* Usage:
+//*
+//*     node server/scoreboard-server.mjs [--port 8080]
+//*
+//* then open http://<address of the laptop>:8080/scoreboardv2.html?remote=controller
+//* (or ?remote=display) on every device.
+//*
+//* The current state of the game is also available as JSON, for other tools (graphics,
+//* statistics,...): GET /api/state, see GameHost.getSnapshot().
+//*
+//* Actions are applied one at a time, in the order they reach the server, each one
+//* against the current state of the game: an action that is no longer allowed by the
+//* time it arrives (a score while the other operator just stopped the clock, an undo
+//* of an action that is no longer the last one,...) is rejected, and the client that
+//* sent it is given the current state back.
+//*
+//****************************************************************************************
+
+import {createHash} from "node:crypto";
+import {EventEmitter} from "node:events";
+import {readFile} from "node:fs/promises";
+import {createServer} from "node:http";
+import {networkInterfaces} from "node:os";
+import {extname, join, normalize, resolve, sep} from "node:path";
+import {fileURLToPath} from "node:url";
+import {GameModel, systemClock} from "../src/js/game-engine.mjs";
+
+/**
+ * Root of the files served: the repository, where the scoreboard pages live
+ * @type {string}
+ */
+const publicRoot = resolve(fileURLToPath(new URL("..", import.meta.url)));
+
+/**
+ * Content types of the files served
+ * @type {Object<string, string>}
+ */
+const contentTypes = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".mjs": "text/javascript; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".ttf": "font/ttf",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".svg": "image/svg+xml",
+    ".ico": "image/x-icon",
+};
+
+/**
+ * One WebSocket connection (RFC 6455), on top of the socket of an upgraded HTTP request.
+ * Only what the scoreboard needs is implemented: text messages (JSON), ping/pong and
+ * close. It emits:
+ *    - "message", with each JSON message received
+ *    - "close", once the connection is closed
+ */
+export class WebSocketClient extends EventEmitter {
+
+    /**
+     * Magic string of the opening handshake
+     * @type {string}
+     */
+    static handshakeGuid = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+    /**
+     * Largest message accepted (team logos are sent as data URLs)
+     * @type {number}
+     */
+    static maxMessageSize = 1024 * 1024;
+
+    /**
+     * Answers the opening handshake of the client
+     * @param request   Upgrade request
+     * @param socket    Socket of the request
+     */
+    constructor(request, socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+        const accept = createHash("sha1")
+            .update(request.headers["sec-websocket-key"] + WebSocketClient.handshakeGuid)
+            .digest("base64");
+        socket.write(
+            "HTTP/1.1 101 Switching Protocols\r\n" +
+            "Upgrade: websocket\r\n" +
+            "Connection: Upgrade\r\n" +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+        );
+        socket.setNoDelay(true);
+        socket.on("data", this.dataHandler.bind(this));
+        socket.on("close", () => this.terminate());
+        socket.on("error", () => this.terminate());
+    }
+
+    /**
+     * Send a message to the client
+     * @param message   Object, sent as JSON
+     */
+    send(message) {
+        this.sendFrame(0x1, Buffer.from(JSON.stringify(message)));
+    }
+
+    /**
+     * Close the connection, telling the client why
+     * @param code      WebSocket close code
+     */
+    close(code = 1000) {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.sendFrame(0x8, payload);
+        this.socket.end();
+        this.terminate();
+    }
+
+    /**
+     * @param opcode    Frame opcode (0x1 text, 0x8 close, 0xA pong)
+     * @param payload   Frame payload
+     */
+    sendFrame(opcode, payload) {
+        if (this.closed) {
+            return;
+        }
+        // Frames sent by the server are never masked, nor fragmented
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header.writeUInt8(0x80 | opcode, 0);
+            header.writeUInt8(126, 1);
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header.writeUInt8(0x80 | opcode, 0);
+            header.writeUInt8(127, 1);
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Listener for the data received: data can hold part of a frame, or several
+     * frames, so it is buffered until whole frames can be read
+     * @param data
+     */
+    dataHandler(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        let frame;
+        while (!this.closed && (frame = this.readFrame())) {
+            this.frameHandler(frame);
+        }
+    }
+
+    /**
+     * Read the first frame of the buffer, if it was received in full
+     * @returns {{fin: boolean, opcode: number, payload: Buffer}|null}
+     */
+    readFrame() {
+        if (this.buffer.length < 2) {
+            return null;
+        }
+        const masked = (this.buffer[1] & 0x80) !== 0;
+        let length = this.buffer[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (this.buffer.length < 4) {
+                return null;
+            }
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) {
+                return null;
+            }
+            length = Number(this.buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (!masked || length > WebSocketClient.maxMessageSize) {
+            // Clients must mask their frames
+            this.close(masked ? 1009 : 1002);
+            return null;
+        }
+        if (this.buffer.length < offset + 4 + length) {
+            return null;
+        }
+        const mask = this.buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        const frame = {fin: (this.buffer[0] & 0x80) !== 0, opcode: this.buffer[0] & 0x0f, payload: payload};
+        this.buffer = this.buffer.subarray(offset + 4 + length);
+        return frame;
+    }
+
+    /**
+     * Handle a frame: put the fragments of text messages together, answer pings and
+     * close frames
+     * @param frame
+     */
+    frameHandler(frame) {
+        if (frame.opcode === 0x8) {
+            this.close();
+        } else if (frame.opcode === 0x9) {
+            this.sendFrame(0xA, frame.payload);
+        } else if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+            this.fragments.push(frame.payload);
+            if (this.fragments.reduce((size, fragment) => size + fragment.length, 0) > WebSocketClient.maxMessageSize) {
+                this.close(1009);
+                return;
+            }
+            if (!frame.fin) {
+                return;
+            }
+            const text = Buffer.concat(this.fragments).toString("utf8");
+            this.fragments = [];
+            let message;
+            try {
+                message = JSON.parse(text);
+            } catch (error) {
+                return;
+            }
+            this.emit("message", message);
+        } else if (frame.opcode === 0x2) {
+            // No binary messages in the scoreboard protocol
+            this.close(1003);
+        }
+    }
+
+    /**
+     * The connection is gone: tell the listeners, once
+     */
+    terminate() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        this.socket.destroy();
+        this.emit("close");
+    }
+
+}
+
+/**
+ * The game hosted by the server: the Model, and the clocks that drive it (game clock,
+ * breaks in between quarters, team timeouts), as the GameController does in a single
+ * page. Every event of the Model is passed on to the broadcast function.
+ *
+ * Operators act on the game through perform(), which checks the action against the
+ * current state of the game before applying it.
+ */
+export class GameHost {
+
+    /**
+     * Actions that the controller clients can perform
+     * @type {Set<string>}
+     */
+    static actions = new Set(
+        [
+            "startGame",
+            "setTeams",
+            "setRosters",
+            "updateScore",
+            "updateFouls",
+            "resetShotClock",
+            "stopClock",
+            "restartClock",
+            "adjustTimer",
+            "callTimeout",
+            "setPossessionArrow",
+            "recordJumpBall",
+            "undo",
+            "redo"
+        ]
+    );
+
+    /**
+     * @param broadcast   Called with every message for all the clients
+     * @param clock       Clock and timers, defaults to systemClock
+     */
+    constructor(broadcast, clock = systemClock) {
+        this.broadcast = broadcast;
+        this.clock = clock;
+        this.model = null;
+        this.teams = null;
+        this.snapshot = this.getSnapshot(null);
+        this.timerInterval = null;
+        this.lastTick = 0;
+        this.breakTimeout = null;
+        this.teamTimeoutTimeout = null;
+    }
+
+    /**
+     * Apply the action of an operator
+     * @param action    One of GameHost.actions
+     * @param args      Arguments of the action, as sent by the client
+     * @throws {Error}  If the action is not allowed: the message is meant for the operator
+     */
+    perform(action, args) {
+        if (!GameHost.actions.has(action) || !Array.isArray(args)) {
+            throw new Error(`Unknown action "${action}"`);
+        }
+        if (action === "startGame") {
+            this.startGame(...args);
+            return;
+        }
+        if (action === "setTeams") {
+            this.setTeams(...args);
+            return;
+        }
+        const model = this.model;
+        if (!model) {
+            throw new Error("No game in progress, start a new game first!");
+        }
+        // Account for the time elapsed since the last tick, e.g., right before stopping the clock
+        if (this.timerInterval) {
+            this.tickClock();
+        }
+        const [first, second, third] = args;
+        switch (action) {
+            case "setRosters":
+                model.setRosters(GameHost.checkRosters(first));
+                model.notifyStateChanged();
+                return;
+            case "updateScore":
+                GameHost.checkAllowed(!model.isOver(), "Game is over, wake up...");
+                GameHost.checkAllowed(!model.isPaused(), "Game is paused, score is frozen until game resumes!");
+                model.updateScore(
+                    GameHost.checkTeam(first),
+                    GameHost.checkPoints(second, model),
+                    GameHost.checkPlayer(third, "Select the player who scored, or Team!", true)
+                );
+                return;
+            case "updateFouls":
+                GameHost.checkAllowed(!model.isOver(), "Game is over, wake up...");
+                GameHost.checkAllowed(
+                    !model.isPaused() || model.isClockStopped(),
+                    "No quarter is being played, fouls cannot be recorded!"
+                );
+                GameHost.checkAllowed(
+                    model.updateFouls(
+                        GameHost.checkTeam(first),
+                        GameHost.checkPlayer(second, "Select the player who committed the foul!")
+                    ) !== null,
+                    `Player #${second} has fouled out!`
+                );
+                return;
+            case "resetShotClock":
+                GameHost.checkAllowed(
+                    model.resetShotClock(first === true) !== undefined,
+                    "No quarter is being played, the shot clock is off!"
+                );
+                return;
+            case "stopClock":
+                GameHost.checkAllowed(
+                    model.stopClock(), "Clock can only be stopped while a quarter is being played!"
+                );
+                return;
+            case "restartClock":
+                GameHost.checkAllowed(model.restartClock(), "The clock is already running!");
+                return;
+            case "adjustTimer":
+                GameHost.checkAllowed(
+                    model.adjustTimer(GameHost.checkSeconds(first)) !== null, "Stop the clock before correcting it!"
+                );
+                return;
+            case "callTimeout":
+                GameHost.checkAllowed(!model.isOver(), "Game is over, wake up...");
+                GameHost.checkAllowed(model.isInPlay(), "No quarter is being played, no timeout can be called!");
+                GameHost.checkAllowed(!model.isTimeoutInProgress(), "A timeout is already in progress!");
+                GameHost.checkAllowed(
+                    model.callTimeout(GameHost.checkTeam(first)), "No timeouts left for this team!"
+                );
+                return;
+            case "setPossessionArrow":
+                GameHost.checkAllowed(
+                    model.setPossessionArrow(GameHost.checkTeam(first)), "Game is over, wake up..."
+                );
+                return;
+            case "recordJumpBall":
+                GameHost.checkAllowed(
+                    model.recordJumpBall() !== null, "Set the possession arrow after the opening tip first!"
+                );
+                return;
+            case "undo":
+            case "redo":
+                this.undoRedo(action, first);
+        }
+    }
+
+    /**
+     * Undo or redo the last action. The client sends the entry it means to undo (or
+     * redo), which must still be the last one: another operator may have recorded an
+     * action in the meantime.
+     * @param action          "undo" or "redo"
+     * @param expectedEntry   Timestamp of the entry the operator means to undo/redo
+     */
+    undoRedo(action, expectedEntry) {
+        const model = this.model;
+        // Undoing the basket that ended the game on the score limit reopens it
+        GameHost.checkAllowed(
+            !model.isOver() || (action === "undo" && model.canUndo()),
+            "Game is over, the result can no longer be changed!"
+        );
+        const entries = action === "undo" ? model.playLog : model.redoStack;
+        GameHost.checkAllowed(entries.length > 0, `Nothing to ${action}!`);
+        GameHost.checkAllowed(
+            entries[entries.length - 1].timestamp === expectedEntry,
+            `The play-by-play was changed by another operator, check it before you ${action}!`
+        );
+        model[action]();
+    }
+
+    /**
+     * Create a new game, and start it
+     * @param specs     Game specifications, as returned by GameController.getGameSpecs()
+     * @param rosters   Rosters of both teams
+     * @throws {Error}  If the specifications or the rosters are not valid, in which case
+     *                  the game in progress goes on
+     */
+    startGame(specs, rosters) {
+        const model = new GameModel(GameHost.checkSpecs(specs), this.clock);
+        model.setRosters(GameHost.checkRosters(rosters));
+        this.stopTimers();
+        if (this.model) {
+            this.model.clearEventRegistry();
+        }
+        this.model = model;
+        GameModel.supportedEvents.forEach((event) => {
+            this.model.registerEventCallback(event, this.eventHandler.bind(this));
+        });
+        this.model.initGame();
+        // The clients create their own copy of the game before its events reach them
+        this.broadcast({type: "game", state: this.model.getState()});
+        this.model.startGame();
+    }
+
+    /**
+     * Share the team names, colors, logos and rosters with all the clients
+     * @param teams   Team settings of both teams
+     */
+    setTeams(teams) {
+        if (!teams || !["home", "guest"].every((team) => typeof teams[team]?.name === "string")) {
+            throw new Error("Invalid team settings!");
+        }
+        this.teams = teams;
+        this.snapshot = this.getSnapshot(this.snapshot.event);
+        this.broadcast({type: "teams", teams: teams});
+    }
+
+    /**
+     * Listener for all the events of the Model: drive the clocks, then pass the event
+     * on to the clients, with its payload (including the snapshot of the game)
+     * @param event
+     * @param eventData
+     */
+    eventHandler(event, eventData) {
+        switch (event.type) {
+            case "quarterStarted":
+            case "gameUnpaused":
+                this.startClock();
+                break;
+            case "gamePaused":
+                this.stopClock();
+                break;
+            case "quarterEnded":
+                this.stopClock();
+                this.startBreak(eventData.pauseDuration);
+                break;
+            case "timeoutCalled":
+                this.startTeamTimeout(eventData.duration);
+                break;
+            case "timeoutEnded":
+                this.clock.clearTimeout(this.teamTimeoutTimeout);
+                this.teamTimeoutTimeout = null;
+                break;
+            case "gameEnded":
+                this.stopTimers();
+                break;
+        }
+        this.snapshot = this.getSnapshot(event.type);
+        this.broadcast({type: "event", event: event.type, data: eventData});
+    }
+
+    /**
+     * Machine-readable state of the game, taken after every event of the Model:
+     *    - event, updatedAt: the last event, and when it was fired off (ms since epoch)
+     *    - teams:      name and color of both teams
+     *    - scoreboard: what the scoreboard shows (GameModel.getScoreboard())
+     *    - state:      the full game state (GameModel.getState()), with the play-by-play
+     * scoreboard and state are null until a game is started.
+     * @param event   Last event fired off by the Model, null if none
+     * @returns {Object}
+     */
+    getSnapshot(event) {
+        const teams = {};
+        ["home", "guest"].forEach((team) => {
+            teams[team] = this.teams
+                ? {name: this.teams[team].name, color: this.teams[team].color}
+                : {name: team === "home" ? "Home" : "Guest", color: null};
+        });
+        return {
+            event: event,
+            updatedAt: event ? this.clock.now() : null,
+            teams: teams,
+            scoreboard: this.model ? this.model.getScoreboard() : null,
+            state: this.model ? this.model.getState() : null,
+        };
+    }
+
+    /**
+     * Start counting the time of the quarter, from the time actually elapsed between
+     * ticks (see GameController.startClock())
+     */
+    startClock() {
+        this.stopClock();
+        this.lastTick = this.clock.elapsed();
+        this.timerInterval = this.clock.setInterval(() => {
+            this.tickClock();
+            if (!this.model.isInPlay()) {
+                this.stopClock();
+            }
+        }, 100);
+    }
+
+    /**
+     * @returns {number}  New timer value
+     */
+    tickClock() {
+        const now = this.clock.elapsed();
+        const newClock = this.model.updateTimer((now - this.lastTick) / 1000);
+        this.lastTick = now;
+        return newClock;
+    }
+
+    stopClock() {
+        this.clock.clearInterval(this.timerInterval);
+        this.timerInterval = null;
+    }
+
+    /**
+     * Start the next quarter once the break is over
+     * @param duration  Duration of the break, in seconds
+     */
+    startBreak(duration) {
+        this.clock.clearTimeout(this.breakTimeout);
+        this.breakTimeout = this.clock.setTimeout(() => {
+            this.breakTimeout = null;
+            this.model.newQuarter();
+        }, duration * 1000);
+    }
+
+    /**
+     * End the team timeout once its duration is over
+     * @param duration  Duration of the timeout, in seconds
+     */
+    startTeamTimeout(duration) {
+        this.clock.clearTimeout(this.teamTimeoutTimeout);
+        this.teamTimeoutTimeout = this.clock.setTimeout(() => {
+            this.teamTimeoutTimeout = null;
+            this.model.endTimeout();
+        }, duration * 1000);
+    }
+
+    stopTimers() {
+        this.stopClock();
+        this.clock.clearTimeout(this.breakTimeout);
+        this.breakTimeout = null;
+        this.clock.clearTimeout(this.teamTimeoutTimeout);
+        this.teamTimeoutTimeout = null;
+    }
+
+    /**
+     * Messages that bring a client that just connected up to date
+     * @returns {Array<Object>}
+     */
+    getWelcomeMessages() {
+        const messages = [];
+        if (this.teams) {
+            messages.push({type: "teams", teams: this.teams});
+        }
+        if (this.model) {
+            messages.push({type: "game", state: this.model.getState()});
+        }
+        return messages;
+    }
+
+    /**
+     * @param allowed   Whether the action is allowed
+     * @param message   Why it is not, for the operator
+     * @throws {Error}  If the action is not allowed
+     */
+    static checkAllowed(allowed, message) {
+        if (!allowed) {
+            throw new Error(message);
+        }
+    }
+
+    /**
+     * @param team
+     * @returns {string}  "home" or "guest"
+     * @throws {Error}  If team is neither
+     */
+    static checkTeam(team) {
+        GameHost.checkAllowed(team === "home" || team === "guest", "Invalid team!");
+        return team;
+    }
+
+    /**
+     * @param points
+     * @param model   Game, whose mode tells what a basket can be worth
+     * @returns {number}  1, 2 or 3 (1 or 2 in 3x3)
+     * @throws {Error}  If points is none of them
+     */
+    static checkPoints(points, model) {
+        GameHost.checkAllowed(model.getScoringValues().includes(points), "Invalid number of points!");
+        return points;
+    }
+
+    /**
+     * @param player      Jersey number
+     * @param message     Message for the operator, if the jersey number is not valid
+     * @param optional    Whether the player may be unknown (null)
+     * @returns {string|null}
+     * @throws {Error}  If the jersey number is not one or two digits
+     */
+    static checkPlayer(player, message, optional = false) {
+        if (optional && player === null) {
+            return null;
+        }
+        GameHost.checkAllowed(typeof player === "string" && /^\d{1,2}$/.test(player), message);
+        return player;
+    }
+
+    /**
+     * @param seconds   Clock correction
+     * @returns {number}
+     * @throws {Error}  If it is not a number of seconds of at most 10 minutes
+     */
+    static checkSeconds(seconds) {
+        GameHost.checkAllowed(Number.isFinite(seconds) && Math.abs(seconds) <= 600, "Invalid clock correction!");
+        return seconds;
+    }
+
+    /**
+     * Same checks as the GameController that sends the specifications (a client may
+     * send anything): the game of every connected table runs with them
+     * @param specs   Game specifications
+     * @returns {Object}
+     * @throws {Error}  If the specifications are not valid, see GameModel.validateSpecs()
+     */
+    static checkSpecs(specs) {
+        const specsError = GameModel.validateSpecs(specs);
+        GameHost.checkAllowed(specsError === null, specsError);
+        return specs;
+    }
+
+    /**
+     * @param rosters   Rosters of both teams
+     * @returns {{home: Array, guest: Array}}
+     * @throws {Error}  If either roster is not a list of players
+     */
+    static checkRosters(rosters) {
+        GameHost.checkAllowed(
+            Boolean(rosters) && Array.isArray(rosters.home) && Array.isArray(rosters.guest), "Invalid rosters!"
+        );
+        return rosters;
+    }
+
+}
+
+/**
+ * HTTP server of the scoreboard pages, and WebSocket server of the game (path /ws)
+ */
+export class ScoreboardServer {
+
+    /**
+     * @param port    TCP port to listen on
+     */
+    constructor(port) {
+        this.port = port;
+        this.clients = new Map();
+        this.host = new GameHost(this.broadcast.bind(this));
+        this.httpServer = createServer(this.requestHandler.bind(this));
+        this.httpServer.on("upgrade", this.upgradeHandler.bind(this));
+    }
+
+    /**
+     * Start listening, on all the network interfaces
+     * @returns {Promise<void>}
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.httpServer.once("error", reject);
+            this.httpServer.listen(this.port, () => {
+                this.port = this.httpServer.address().port;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Stop the game clocks, close the connections and stop listening
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.host.stopTimers();
+        this.clients.forEach((role, client) => client.close(1001));
+        return new Promise((resolve) => this.httpServer.close(() => resolve()));
+    }
+
+    /**
+     * Serve the files of the scoreboard, and the state of the game as JSON on
+     * /api/state (GET only)
+     * @param request
+     * @param response
+     */
+    async requestHandler(request, response) {
+        if (request.method !== "GET" && request.method !== "HEAD") {
+            response.writeHead(405, {"Allow": "GET, HEAD"}).end();
+            return;
+        }
+        let pathname;
+        try {
+            pathname = decodeURIComponent(new URL(request.url, "http://localhost").pathname);
+        } catch (error) {
+            response.writeHead(400).end();
+            return;
+        }
+        if (pathname === "/api/state") {
+            response.writeHead(200, {
+                "Content-Type": contentTypes[".json"],
+                "Cache-Control": "no-store",
+                "Access-Control-Allow-Origin": "*",
+            });
+            response.end(request.method === "HEAD" ? undefined : JSON.stringify(this.host.snapshot));
+            return;
+        }
+        if (pathname === "/") {
+            pathname = "/scoreboardv2.html";
+        }
+        const filePath = join(publicRoot, normalize(pathname));
+        const contentType = contentTypes[extname(filePath).toLowerCase()];
+        if (!filePath.startsWith(publicRoot + sep) || !contentType) {
+            response.writeHead(404).end();
+            return;
+        }
+        try {
+            const content = await readFile(filePath);
+            response.writeHead(200, {"Content-Type": contentType, "Cache-Control": "no-cache"});
+            response.end(request.method === "HEAD" ? undefined : content);
+        } catch (error) {
+            response.writeHead(404).end();
+        }
+    }
+
+    /**
+     * Accept the WebSocket connections on /ws
+     * @param request
+     * @param socket
+     */
+    upgradeHandler(request, socket) {
+        if (new URL(request.url, "http://localhost").pathname !== "/ws" ||
+            (request.headers.upgrade || "").toLowerCase() !== "websocket" ||
+            !request.headers["sec-websocket-key"]) {
+            socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+            return;
+        }
+        const client = new WebSocketClient(request, socket);
+        // Clients are read-only displays until they say otherwise
+        this.clients.set(client, "display");
+        client.on("message", (message) => this.messageHandler(client, message));
+        client.on("close", () => this.clients.delete(client));
+    }
+
+    /**
+     * Handle the messages of a client:
+     *    - {type: "hello", role}: the client introduces itself as a "controller" or a
+     *      "display", and is sent the teams and the game in progress, if any
+     *    - {type: "action", action, args}: a controller acts on the game. Nothing is
+     *      answered if the action is applied: the events of the game tell everyone.
+     *      If not, the client is sent {type: "rejected", message, state}.
+     * Anything else (e.g. a "null" text frame) is ignored, and no message, however
+     * malformed, can bring the server down: its failure is reported to the client.
+     * @param client
+     * @param message
+     */
+    messageHandler(client, message) {
+        if (message === null || typeof message !== "object") {
+            return;
+        }
+        try {
+            if (message.type === "hello") {
+                this.clients.set(client, message.role === "controller" ? "controller" : "display");
+                this.host.getWelcomeMessages().forEach((welcome) => this.send(client, welcome));
+            } else if (message.type === "action") {
+                if (this.clients.get(client) !== "controller") {
+                    throw new Error("This scoreboard is a read-only display!");
+                }
+                this.host.perform(message.action, message.args);
+            }
+        } catch (error) {
+            this.send(client, {
+                type: "rejected",
+                message: error.message,
+                state: this.host.model ? this.host.model.getState() : null,
+            });
+        }
+    }
+
+    /**
+     * Send a message to a client, with the time of the server, so that the client
+     * can resume the clocks of the game from the server's time rather than its own
+     * @param client
+     * @param message
+     */
+    send(client, message) {
+        client.send({...message, serverTime: this.host.clock.now()});
+    }
+
+    /**
+     * Send a message to all the clients
+     * @param message
+     */
+    broadcast(message) {
+        this.clients.forEach((role, client) => this.send(client, message));
+    }
+
+}
+
+/**
+ * Addresses of the computer on the local network, to be typed in on the other devices
+ * @returns {Array<string>}
+ */
+function localAddresses() {
+    return Object.values(networkInterfaces())
+        .flat()
+        .filter((address) => address.family === "IPv4" && !address.internal)
+        .map((address) => address.address);
+}
+
+// Started only when the file is run, not when its classes are imported (by the tests)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const portIndex = process.argv.indexOf("--port");
+    const port = Number(portIndex > 0 ? process.argv[portIndex + 1] : process.env.PORT || 8080);
+    const server = new ScoreboardServer(port);
+    server.listen().then(() => {
+        console.log(`Scoreboard server listening on port ${server.port}, open on the local network:`);
+        ["localhost", ...localAddresses()].forEach((address) => {
+            console.log(`    controller: http://${address}:${server.port}/scoreboardv2.html?remote=controller`);
+            console.log(`    display:    http://${address}:${server.port}/scoreboardv2.html?remote=display`);
+            console.log(`    overlay:    http://${address}:${server.port}/scoreboard-overlay.html?server`);
+            console.log(`    state:      http://${address}:${server.port}/api/state`);
+        });
+    }).catch((error) => {
+        console.error(`The scoreboard server could not start: ${error.message}`);
+        process.exit(1);
+    });
+    process.on("SIGINT", () => server.close().then(() => process.exit(0)));
+}
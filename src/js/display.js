@@ -0,0 +1,113 @@
+/**
+ * Audience display
+ *
+ * Read-only scoreboard meant to be projected for the spectators, opened from the
+ * scorer's table with the "Open display" button. It shows the clocks, the period, the
+ * scores, the fouls and the result, in large type.
+ *
+ * The display holds no game logic of its own: the GameController of the scorer's table
+ * sends it the game over a BroadcastChannel, i.e., "teams" messages (names, colors,
+ * logos) and "game" messages (game state snapshot), whenever something happens in the
+ * game. The display keeps a GameMirror of the game, which counts the clocks down in
+ * between two snapshots. When it is (re)opened, the display asks for the current state
+ * with a "request" message, so that it catches up mid-game.
+ */
+import {systemClock} from "./game-engine.mjs";
+import {GameMirror} from "./remote-game.mjs";
+
+class ScoreboardDisplay {
+
+    /**
+     * Name of the channel shared with the scorer's table (GameController.displayChannelName)
+     * @type {string}
+     */
+    static channelName = "scoreboard.display";
+
+    /**
+     * Opens the channel, and asks the scorer's table for the current state
+     */
+    constructor() {
+        this.teamNames = {home: "Home", guest: "Guest"};
+        this.clockEl = document.getElementById("display-clock");
+        this.shotClockEl = document.getElementById("display-shot-clock");
+        this.quarterEl = document.getElementById("display-quarter");
+        this.possessionEl = document.getElementById("display-possession");
+        this.resultEl = document.getElementById("display-result");
+        this.offlineEl = document.getElementById("display-offline");
+        // The times of the game are times of the scorer's table
+        this.clockOffset = 0;
+        this.mirror = new GameMirror(
+            {...systemClock, now: () => Date.now() + this.clockOffset}, this.setGame.bind(this)
+        );
+        if (typeof BroadcastChannel !== "function") {
+            this.offlineEl.textContent = "This browser cannot show the audience display.";
+            return;
+        }
+        this.channel = new BroadcastChannel(ScoreboardDisplay.channelName);
+        this.channel.addEventListener("message", this.messageHandler.bind(this));
+        this.channel.postMessage({type: "request"});
+    }
+
+    /**
+     * Listener for the messages of the scorer's table
+     * @param event The event.data is either {type: "teams", teams} or
+     *              {type: "game", state, sentAt}
+     */
+    messageHandler(event) {
+        this.offlineEl.classList.add("hide");
+        if (event.data.type === "teams") {
+            this.setTeams(event.data.teams);
+        } else if (event.data.type === "game") {
+            this.clockOffset = event.data.sentAt - Date.now();
+            this.mirror.setState(event.data.state);
+        }
+    }
+
+    /**
+     * Show the team names, colors and logos
+     * @param teams   Object with the home and guest team settings ({name, color, logo})
+     */
+    setTeams(teams) {
+        ["home", "guest"].forEach((team) => {
+            this.teamNames[team] = teams[team].name;
+            document.getElementById(`${team}-display-name`).textContent = teams[team].name;
+            document.getElementById(`${team}-display`).style.setProperty("--team-color", teams[team].color);
+            const logoEl = document.getElementById(`${team}-display-logo`);
+            logoEl.src = teams[team].logo;
+            logoEl.alt = teams[team].logo ? `${teams[team].name} logo` : "";
+            logoEl.classList.toggle("show", Boolean(teams[team].logo));
+        });
+    }
+
+    /**
+     * Show the state of the game
+     * @param game  What the scoreboard shows, as returned by GameModel.getScoreboard()
+     */
+    setGame(game) {
+        this.clockEl.textContent = game.clock;
+        this.clockEl.classList.toggle("stopped", game.clockStopped);
+        this.shotClockEl.textContent = game.shotClock;
+        this.shotClockEl.classList.toggle("off", game.shotClock === "");
+        this.quarterEl.textContent = game.period;
+        this.possessionEl.textContent =
+            game.possessionArrow === "home" ? "◀" : game.possessionArrow === "guest" ? "▶" : "";
+        ["home", "guest"].forEach((team) => {
+            document.getElementById(`${team}-display-score`).textContent = game.scores[team].toString();
+            document.getElementById(`${team}-display-fouls`).textContent = game.fouls[team].toString();
+            document.getElementById(`${team}-display-bonus`).classList.toggle("show", game.bonus[team]);
+            document.getElementById(`${team}-display`).classList.toggle(
+                "is-winner", game.gameOver && game.winner === team
+            );
+        });
+        if (!game.gameOver) {
+            this.resultEl.textContent = "";
+        } else if (game.winner) {
+            this.resultEl.textContent = `WINNER : ${this.teamNames[game.winner]}`;
+        } else {
+            this.resultEl.textContent = "NO WINNER: DRAW";
+        }
+    }
+
+}
+
+const scoreboardDisplay = new ScoreboardDisplay();
@@ -0,0 +1,1959 @@
+//****************************************************************************************
+//*
+//* Game engine of the scoreboard: the rules and the state of the game, without any DOM.
+//*
+//* The Model (GameModel), the game reports (GameReport), the replays (GameReplay) and the
+//* league standings (Season) live in this ES module, so that they can run in Node as well
+//* as in the browser. Time is never read directly: the Model is given a clock (systemClock
+//* by default), which can be replaced by a fake one to play a whole game in simulated
+//* time, e.g.:
+//*
+//*     import {GameModel} from "./src/js/game-engine.mjs";
+//*     const model = new GameModel({quarters: 4, quarterDuration: 600, timeOut: 120}, fakeClock);
+//*
+//* The DOM wiring (GameController, GameView,...) stays in index2.js.
+//*
+//****************************************************************************************
+
+/**
+ * Clock and scheduler used by default, i.e., the real time:
+ *    - now():      wall-clock time in ms, saved with the game so that it can be resumed
+ *    - elapsed():  monotonic time in ms, to measure the time elapsed between ticks
+ *    - setTimeout/clearTimeout, setInterval/clearInterval: the timers
+ * @type {{now: function(): number, elapsed: function(): number,
+ *         setTimeout: function(Function, number): *, clearTimeout: function(*): void,
+ *         setInterval: function(Function, number): *, clearInterval: function(*): void}}
+ */
+export const systemClock = {
+    now: () => Date.now(),
+    elapsed: () => performance.now(),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (id) => clearTimeout(id),
+    setInterval: (callback, delay) => setInterval(callback, delay),
+    clearInterval: (id) => clearInterval(id),
+};
+
+/**
+ * Format a number of seconds as mm:ss, or as seconds and tenths of a second
+ * (e.g. "8.4") during the final minute, as real scoreboards do
+ * @param timeInSeconds
+ * @returns {string}
+ */
+export function formatClock(timeInSeconds) {
+    if (timeInSeconds < 60) {
+        // Tenths are truncated, so that 0.0 is only shown when time is really up
+        return (Math.floor(timeInSeconds * 10 + 1e-9) / 10).toFixed(1);
+    }
+    // Whole seconds are rounded up, so that a 10 minutes quarter starts at 10:00
+    // and shows 09:59 as soon as the clock starts
+    const wholeSeconds = Math.ceil(timeInSeconds);
+    let timeString =
+        `${Math.floor(wholeSeconds / 60).toString().padStart(2, "0")}:`;
+    timeString += `${(wholeSeconds % 60).toString().padStart(2, "0")}`;
+    return timeString;
+}
+
+/**
+ * Format a period as "Q1", "Q2",... or "OT1", "OT2",...
+ * @param quarter
+ * @param overtime    Overtime period number, 0 during regulation
+ * @returns {string}
+ */
+export function formatPeriod(quarter, overtime) {
+    return overtime ? `OT${overtime}` : `Q${quarter.toString()}`;
+}
+
+/**
+ * Game Model
+ *
+ * Only maintains the internal state of the game:
+ *    - Game mode, duration and number of quarters
+ *    - Score and fouls of the two teams
+ *    - Whether game is paused or not (in between quarters and when the
+ *      officials stop the clock with the Pause button)
+ *    - Dispatches end of game and end of quarter events
+ *
+ * The Model has no knowledge of the view, it only cares about its own internal state.
+ */
+export class GameModel {
+
+    /**
+     * Set of events that can be fired off by the Model. Subscribing to, or
+     * dispatching, any other event is an error.
+     * @type {Set<string>}
+     */
+    static supportedEvents = new Set(
+        [
+            "gameStarted",
+            "quarterStarted",
+            "gamePaused",
+            "gameUnpaused",
+            "foulCommitted",
+            "playLogUpdated",
+            "shotClockViolation",
+            "timeoutCalled",
+            "timeoutEnded",
+            "quarterEnded",
+            "gameEnded",
+            "gameReopened",
+            "possessionChanged",
+            "stateChanged"
+        ]
+    );
+
+    /**
+     * Game modes, with the rules that are not game specifications:
+     *    - points:             points a basket can be worth
+     *    - scoreLimit:         the game ends as soon as a team reaches that score
+     *                          (0: the game only ends with the clock)
+     *    - overtimeScoreLimit: overtime has no game clock, it ends as soon as a team
+     *                          has scored that many points in overtime (0: overtime
+     *                          periods are timed)
+     * @type {Object<string, {label: string, points: Array<number>, scoreLimit: number,
+     *                        overtimeScoreLimit: number}>}
+     */
+    static gameModes = {
+        standard: {label: "Standard", points: [1, 2, 3], scoreLimit: 0, overtimeScoreLimit: 0},
+        "3x3": {label: "3x3", points: [1, 2], scoreLimit: 21, overtimeScoreLimit: 2},
+    };
+
+    /**
+     * Accepted range of the numeric game specifications, all whole numbers. The
+     * offensive rebound shot clock cannot exceed the full shot clock either.
+     * @type {Object<string, {label: string, min: number, max: number}>}
+     */
+    static specLimits = {
+        quarters: {label: "Number of periods", min: 1, max: 4},
+        quarterDuration: {label: "Period duration", min: 15, max: 1800},
+        timeOut: {label: "Break in between periods", min: 5, max: 600},
+        halftime: {label: "Half time break", min: 5, max: 1800},
+        bonusThreshold: {label: "Team fouls for bonus", min: 1, max: 10},
+        foulLimit: {label: "Personal fouls limit", min: 0, max: 10},
+        overtimeDuration: {label: "Overtime duration", min: 15, max: 600},
+        shotClock: {label: "Shot clock", min: 10, max: 60},
+        shotClockOffensive: {label: "Offensive rebound shot clock", min: 5, max: 60},
+        teamTimeouts: {label: "Timeouts per team", min: 0, max: 10},
+        teamTimeoutDuration: {label: "Team timeout duration", min: 10, max: 120},
+    };
+
+    /**
+     * Accepted values of the other game specifications (the options of the page)
+     * @type {Object<string, Array<*>>}
+     */
+    static specChoices = {
+        foulPeriod: ["quarter", "half"],
+        overtime: [true, false],
+        teamTimeoutPeriod: ["half", "game"],
+        possessionRule: ["period", "half", "none"],
+        mode: Object.keys(GameModel.gameModes),
+    };
+
+    /**
+     * Check game specifications against the accepted ranges and values, and against
+     * the rules of the game mode, before a game is created with them: by the
+     * controller, for the specifications typed by the user, and by the scoreboard
+     * server, for the ones sent by its clients
+     * @param specs   Game specifications, as returned by GameController.getGameSpecs()
+     * @returns {string|null}   Message for the user, or null if the specifications are OK
+     */
+    static validateSpecs(specs) {
+        if (specs === null || typeof specs !== "object") {
+            return "Invalid game specifications!";
+        }
+        for (const [spec, limits] of Object.entries(GameModel.specLimits)) {
+            const value = specs[spec];
+            if (!Number.isInteger(value) || value < limits.min || value > limits.max) {
+                return `${limits.label} must be a whole number from ${limits.min} to ${limits.max}!`;
+            }
+        }
+        if (!Object.entries(GameModel.specChoices).every(([spec, choices]) => choices.includes(specs[spec]))) {
+            return "Invalid game specifications!";
+        }
+        if (specs.shotClockOffensive > specs.shotClock) {
+            return "The offensive rebound shot clock cannot exceed the shot clock!";
+        }
+        if (specs.mode === "3x3" && specs.quarters !== 1) {
+            return "3x3 games are played in a single period!";
+        }
+        return null;
+    }
+
+    /**
+     * Constructor:
+     *
+     * Initializes the game: sets scores and fouls to 0, sets duration and number of
+     * quarters, sets game paused, provides an events subscribers registry, and dispatches
+     * the events:
+     *    - gameStarted
+     *    - quarterStarted
+     *    - gamePaused
+     *    - gameUnpaused
+     *    - foulCommitted
+     *    - playLogUpdated
+     *    - shotClockViolation
+     *    - timeoutCalled
+     *    - timeoutEnded
+     *    - quarterEnded
+     *    - gameEnded
+     *    - gameReopened
+     *    - possessionChanged
+     *    - stateChanged
+     *
+     * @param nrQuarters
+     * @param secondsPerQuarter
+     * @param secondsPerInterQuarter
+     * @param secondsPerHalftime  Duration of the break at half time, defaults to the
+     *                          break in between quarters
+     * @param foulPeriod        Team fouls are reset every "quarter" or every "half"
+     * @param bonusThreshold    Number of team fouls from which the other team is in the bonus
+     * @param foulLimit         Number of personal fouls after which a player fouls out
+     *                          (0: players never foul out)
+     * @param overtime          Whether overtime periods are played when regulation ends tied
+     *                          (if not, the game ends in a draw)
+     * @param overtimeDuration  Duration of an overtime period, in seconds
+     * @param shotClock         Duration of the shot clock, in seconds
+     * @param shotClockOffensive  Shot clock reset value on offensive rebounds, in seconds
+     * @param teamTimeouts      Number of timeouts each team can call per half or per game
+     * @param teamTimeoutPeriod The team timeouts allowance is given every "half" or once per "game"
+     * @param teamTimeoutDuration  Duration of a team timeout, in seconds
+     * @param possessionRule    Alternating possession arrow: flipped at the start of every
+     *                          "period" after the first, only at the start of the second
+     *                          "half" and of overtime periods, or not used at all ("none")
+     * @param mode              Game mode, one of GameModel.gameModes: "standard", or "3x3"
+     *                          (1 and 2 point baskets, game to 21, overtime to 2 points)
+     * @param clock             Wall-clock time and scheduler, defaults to systemClock
+     *                          (a fake clock makes the game run on simulated time)
+     */
+    constructor(
+        {
+            quarters: nrQuarters,
+            quarterDuration: secondsPerQuarter,
+            timeOut: secondsPerInterQuarter,
+            halftime: secondsPerHalftime = secondsPerInterQuarter,
+            foulPeriod = "quarter",
+            bonusThreshold = 5,
+            foulLimit = 5,
+            overtime = true,
+            overtimeDuration = 300,
+            shotClock = 24,
+            shotClockOffensive = 14,
+            teamTimeouts = 2,
+            teamTimeoutPeriod = "half",
+            teamTimeoutDuration = 60,
+            possessionRule = "period",
+            mode = "standard"
+        },
+        clock = systemClock
+    ) {
+        this.clock = clock;
+        this.subscribers = {};
+        this.nrQuarters = nrQuarters;
+        this.timePerQuarter = secondsPerQuarter;
+        this.secondsPerInterQuarter = secondsPerInterQuarter;
+        this.secondsPerHalftime = secondsPerHalftime;
+        this.foulPeriod = foulPeriod;
+        this.bonusThreshold = bonusThreshold;
+        this.foulLimit = foulLimit;
+        this.overtimeEnabled = overtime;
+        this.overtimeDuration = overtimeDuration;
+        this.shotClockDuration = shotClock;
+        this.shotClockOffensiveDuration = shotClockOffensive;
+        this.teamTimeouts = teamTimeouts;
+        this.teamTimeoutPeriod = teamTimeoutPeriod;
+        this.teamTimeoutDuration = teamTimeoutDuration;
+        this.possessionRule = possessionRule;
+        this.mode = mode;
+        this.rosters = {home: [], guest: []};
+    }
+
+    /**
+     * Initialize internal state variables, dispatch the gameStarted event that the controller
+     * should subscribe to, and start the first quarter of the game with a slight delay
+     */
+    startGame() {
+        this.initGame();
+        this.dispatchEvent(new Event('gameStarted'));
+        this.notifyStateChanged();
+        this.clock.setTimeout(() => {
+            this.newQuarter();
+        }, 1000);
+    }
+
+    /**
+     * Initialize internal state variables
+     */
+    initGame() {
+        this.quarter = 0;
+        this.timer = 0;
+        this.shotClock = 0;
+        this.clockSyncedAt = null;
+        this.breakEndsAt = null;
+        this.gamePaused = true;
+        this.clockStopped = false;
+        this.gameOver = false;
+        this.homeScore = 0;
+        this.guestScore = 0;
+        this.homeFouls = 0;
+        this.guestFouls = 0;
+        this.homePlayerFouls = {};
+        this.guestPlayerFouls = {};
+        this.homeTimeouts = this.teamTimeouts;
+        this.guestTimeouts = this.teamTimeouts;
+        this.teamTimeout = null;
+        this.foulPeriodId = 0;
+        this.playLog = [];
+        this.redoStack = [];
+        this.possessionArrow = null;
+        this.jumpBalls = [];
+    }
+
+    /**
+     * Registers event listeners for the various events. Besides the controller, any
+     * number of independent subscribers (loggers, audio, displays,...) can listen to
+     * the same events.
+     *
+     * @param event     Event name, one of GameModel.supportedEvents
+     * @param callback  Listener event handler, called with the event and its payload
+     * @param once      If true, the listener is removed after its first call
+     * @returns {function(): void}  Unsubscribe handle: call it to remove the listener
+     * @throws {Error}  If the event is not one of GameModel.supportedEvents
+     */
+    registerEventCallback(event, callback, {once = false} = {}) {
+        GameModel.checkEvent(event);
+        if (!(event in this.subscribers)) {
+            this.subscribers[event] = [];
+        }
+        const subscriber = {callback: callback, once: once};
+        this.subscribers[event].push(subscriber);
+        return () => this.removeSubscriber(event, subscriber);
+    }
+
+    /**
+     * Registers an event listener that is removed after its first call
+     *
+     * @param event     Event name, one of GameModel.supportedEvents
+     * @param callback  Listener event handler
+     * @returns {function(): void}  Unsubscribe handle, to remove it before it is called
+     */
+    registerOnceEventCallback(event, callback) {
+        return this.registerEventCallback(event, callback, {once: true});
+    }
+
+    /**
+     * Removes an event listener registered with registerEventCallback()
+     *
+     * @param event     Event name
+     * @param callback  Listener event handler, as registered
+     */
+    unregisterEventCallback(event, callback) {
+        GameModel.checkEvent(event);
+        const subscriber = (this.subscribers[event] || []).find((entry) => entry.callback === callback);
+        if (subscriber) {
+            this.removeSubscriber(event, subscriber);
+        }
+    }
+
+    /**
+     * @param event       Event name
+     * @param subscriber  Registry entry ({callback, once})
+     */
+    removeSubscriber(event, subscriber) {
+        if (event in this.subscribers) {
+            this.subscribers[event] = this.subscribers[event].filter((entry) => entry !== subscriber);
+        }
+    }
+
+    clearEventRegistry() {
+        this.subscribers = {};
+    }
+
+    /**
+     * @param event     Event name
+     * @throws {Error}  If the event is not one of GameModel.supportedEvents
+     */
+    static checkEvent(event) {
+        if (!GameModel.supportedEvents.has(event)) {
+            throw new Error(`Unknown game event "${event}"`);
+        }
+    }
+
+    /**
+     * Fire events to inform the subscribers that some internal state has changed,
+     * warranting an action on their part.
+     * Every event carries the same kind of payload: the event name (type), the data
+     * specific to the event, and a snapshot of the whole game (state, as returned
+     * by getState()). A subscriber that throws does not prevent the others from
+     * being called.
+     *
+     * @param event     Event, named after one of GameModel.supportedEvents
+     * @param eventData Optional data that will be sent along with the event
+     * @throws {Error}  If the event is not one of GameModel.supportedEvents
+     */
+    dispatchEvent(event, eventData = {}) {
+        GameModel.checkEvent(event.type);
+        const subscribers = this.subscribers[event.type] || [];
+        if (!subscribers.length) {
+            return;
+        }
+        const payload = {type: event.type, ...eventData, state: this.getState()};
+        // Copy of the list, as listeners may (un)subscribe while being called
+        [...subscribers].forEach((subscriber) => {
+            if (subscriber.once) {
+                this.removeSubscriber(event.type, subscriber);
+            }
+            try {
+                subscriber.callback(event, payload);
+            } catch (error) {
+                console.error(`Listener of the ${event.type} event failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Set the rosters of the teams, used to name the players in the box score.
+     * Can be changed during the game, e.g., to add a late player.
+     *
+     * @param rosters   Object with the home and guest rosters, each an array of
+     *                  players ({number, name})
+     */
+    setRosters(rosters) {
+        this.rosters = {home: [...rosters.home], guest: [...rosters.guest]};
+    }
+
+    /**
+     * Keeps track of the scores
+     *
+     * @param team    Either "home" or "guest"
+     * @param points  Number of points to add to the score
+     * @param player  Jersey number of the player who scored, or null if unknown
+     * @returns {*}   New score
+     */
+    updateScore(team, points, player = null) {
+        this.applyScore(team, points);
+        this.recordPlay({team: team, action: "score", points: points, player: player});
+        if (this.hasReachedScoreLimit()) {
+            this.endGame();
+        }
+        return this[`${team}Score`];
+    }
+
+    /**
+     * Points a basket can be worth in the game mode
+     * @returns {Array<number>}
+     */
+    getScoringValues() {
+        return GameModel.gameModes[this.mode].points;
+    }
+
+    /**
+     * Has a team reached the score limit of the game mode, which ends the game before
+     * the clock does: the score limit during regulation, or the overtime score limit
+     * (counting the points scored in overtime only) during overtime
+     * @returns {boolean}
+     */
+    hasReachedScoreLimit() {
+        const {scoreLimit, overtimeScoreLimit} = GameModel.gameModes[this.mode];
+        if (this.isOvertime()) {
+            const points = this.getLineScore()[this.quarter - 1].points;
+            return overtimeScoreLimit > 0 && (points.home >= overtimeScoreLimit || points.guest >= overtimeScoreLimit);
+        }
+        return scoreLimit > 0 && (this.homeScore >= scoreLimit || this.guestScore >= scoreLimit);
+    }
+
+    /**
+     * Box score of the game: points, 1, 2 and 3 points made and personal fouls of
+     * every player, plus the team totals. It is computed from the play-by-play log,
+     * so that it always reflects undone and redone actions.
+     * Players of the rosters are listed first, then any other jersey number found
+     * in the log, then a "Team" line for points scored without selecting a player.
+     *
+     * @returns {{home: {players: Array, totals: Object}, guest: {players: Array, totals: Object}}}
+     */
+    getBoxScore() {
+        const madeShots = {1: "ones", 2: "twos", 3: "threes"};
+        const newLine = (number, name) => ({
+            number: number, name: name, points: 0, ones: 0, twos: 0, threes: 0, fouls: 0
+        });
+        const boxScore = {};
+        ["home", "guest"].forEach((team) => {
+            const players = new Map();
+            this.rosters[team].forEach((player) => {
+                players.set(player.number, newLine(player.number, player.name));
+            });
+            const totals = newLine("", "Totals");
+            this.playLog.filter((entry) => entry.team === team).forEach((entry) => {
+                const number = entry.player ?? "";
+                if (!players.has(number)) {
+                    players.set(number, newLine(number, number === "" ? "Team" : ""));
+                }
+                [players.get(number), totals].forEach((line) => {
+                    if (entry.action === "score") {
+                        line.points += entry.points;
+                        line[madeShots[entry.points]]++;
+                    } else {
+                        line.fouls++;
+                    }
+                });
+            });
+            // The "Team" line, if any, goes last
+            const teamLine = players.get("");
+            players.delete("");
+            boxScore[team] = {
+                players: teamLine ? [...players.values(), teamLine] : [...players.values()],
+                totals: totals
+            };
+        });
+        return boxScore;
+    }
+
+    /**
+     * Add (or, when undoing, remove) points to the score of a team, without
+     * recording anything in the play-by-play log
+     * @param team    Either "home" or "guest"
+     * @param points  Number of points to add to the score (negative to remove points)
+     */
+    applyScore(team, points) {
+        this[`${team}Score`] += points;
+    }
+
+    /**
+     * Keeps track of the fouls of each team (for the current quarter or half) and
+     * of the personal fouls of each player, and fires off the foulCommitted event
+     * with everything the controller needs to update the view.
+     *
+     * A player who has already fouled out cannot be charged with another foul.
+     *
+     * @param team    Either "home" or "guest"
+     * @param player  Jersey number of the player who committed the foul
+     * @returns {*}   New number of team fouls, or null if the player has fouled out
+     */
+    updateFouls(team, player) {
+        if (this.hasFouledOut(team, player)) {
+            return null;
+        }
+        const entry = {
+            team: team, action: "foul", points: 0, player: player, foulPeriodId: this.foulPeriodId
+        };
+        this.applyFoul(entry, 1);
+        // Recorded first, so that the state snapshot of the event includes the foul
+        this.recordPlay(entry);
+        this.dispatchEvent(new Event('foulCommitted'), {
+            team: team,
+            player: player,
+            teamFouls: this[`${team}Fouls`],
+            playerFouls: this[`${team}PlayerFouls`][player],
+            bonus: this.isInBonus(team),
+            fouledOut: this.hasFouledOut(team, player)
+        });
+        return this[`${team}Fouls`];
+    }
+
+    /**
+     * Add (or, when undoing, remove) a foul, without recording anything in the
+     * play-by-play log. The team fouls are only changed if the foul belongs to the
+     * current foul period: undoing a foul from a previous quarter (or half) must not
+     * touch the team fouls of the current one.
+     * @param entry   Play-by-play entry of the foul (team, player and foul period)
+     * @param count   1 to add the foul, -1 to remove it
+     */
+    applyFoul(entry, count) {
+        const playerFouls = this[`${entry.team}PlayerFouls`];
+        playerFouls[entry.player] = (playerFouls[entry.player] || 0) + count;
+        if (entry.foulPeriodId === this.foulPeriodId) {
+            this[`${entry.team}Fouls`] += count;
+        }
+    }
+
+    /**
+     * Add a timestamped entry to the play-by-play log, with the quarter and game
+     * clock at the time of the action. Any new action makes the undone actions
+     * impossible to redo.
+     * @param play    Object with the team, the action ("score" or "foul"), the points
+     *                and the player (for fouls)
+     */
+    recordPlay(play) {
+        this.playLog.push({
+            ...play,
+            timestamp: this.clock.now(),
+            quarter: this.quarter,
+            overtime: this.getOvertime(),
+            clock: this.timer,
+        });
+        this.redoStack = [];
+        this.dispatchPlayLogUpdated("record", this.playLog[this.playLog.length - 1]);
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Roll back the last action of the play-by-play log (score or foul). Rolling back
+     * the basket that ended the game on the score limit reopens the game.
+     * @returns {*}   The entry that was undone, or null if there is nothing to undo
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return null;
+        }
+        const entry = this.playLog.pop();
+        this.applyPlay(entry, -1);
+        this.redoStack.push(entry);
+        if (this.gameOver) {
+            this.reopenGame();
+        }
+        this.dispatchPlayLogUpdated("undo", entry);
+        this.notifyStateChanged();
+        return entry;
+    }
+
+    /**
+     * Replay the last action that was undone. Replaying the basket that reaches the
+     * score limit ends the game again.
+     * @returns {*}   The entry that was redone, or null if there is nothing to redo
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return null;
+        }
+        const entry = this.redoStack.pop();
+        this.applyPlay(entry, 1);
+        this.playLog.push(entry);
+        this.dispatchPlayLogUpdated("redo", entry);
+        this.notifyStateChanged();
+        if (this.hasReachedScoreLimit()) {
+            this.endGame();
+        }
+        return entry;
+    }
+
+    /**
+     * Apply or roll back a play-by-play entry
+     * @param entry       Play-by-play entry
+     * @param direction   1 to apply the entry, -1 to roll it back
+     */
+    applyPlay(entry, direction) {
+        if (entry.action === "score") {
+            this.applyScore(entry.team, direction * entry.points);
+        } else {
+            this.applyFoul(entry, direction);
+        }
+    }
+
+    /**
+     * Actions can only be undone or redone while the game is not over, except for the
+     * basket that ended the game on the score limit, which can be undone (a basket
+     * credited by mistake must not decide the game)
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.playLog.length > 0 && (!this.gameOver || this.hasEndedOnScoreLimit());
+    }
+
+    /**
+     * Did the last basket of the play-by-play end the game on the score limit
+     * @returns {boolean}
+     */
+    hasEndedOnScoreLimit() {
+        const lastPlay = this.playLog[this.playLog.length - 1];
+        return this.gameOver && lastPlay !== undefined && lastPlay.action === "score" && this.hasReachedScoreLimit();
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return !this.gameOver && this.redoStack.length > 0;
+    }
+
+    /**
+     * Fire off the playLogUpdated event, with the full log and the current scores
+     * and fouls, so that the controller can update the view whatever the change was
+     * @param change  "record", "undo" or "redo"
+     * @param entry   The entry that was recorded, undone or redone
+     */
+    dispatchPlayLogUpdated(change, entry) {
+        this.dispatchEvent(new Event('playLogUpdated'), {
+            change: change,
+            entry: entry,
+            log: [...this.playLog],
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            scores: {home: this.homeScore, guest: this.guestScore},
+            fouls: {home: this.homeFouls, guest: this.guestFouls},
+            bonus: {home: this.isInBonus("home"), guest: this.isInBonus("guest")},
+            playerFouls: entry.action === "foul" ? this[`${entry.team}PlayerFouls`][entry.player] : 0,
+            fouledOut: entry.action === "foul" && this.hasFouledOut(entry.team, entry.player),
+            boxScore: this.getBoxScore(),
+            lineScore: this.getLineScore()
+        });
+    }
+
+    /**
+     * Has a team committed enough fouls in the current period for the other team
+     * to be in the bonus
+     * @param team    Either "home" or "guest"
+     * @returns {boolean}
+     */
+    isInBonus(team) {
+        return this[`${team}Fouls`] >= this.bonusThreshold;
+    }
+
+    /**
+     * Has a player reached the personal fouls limit
+     * @param team    Either "home" or "guest"
+     * @param player  Jersey number of the player
+     * @returns {boolean}
+     */
+    hasFouledOut(team, player) {
+        return this.foulLimit > 0 && (this[`${team}PlayerFouls`][player] || 0) >= this.foulLimit;
+    }
+
+    /**
+     * Team fouls are reset at the start of every quarter, or only at the start of
+     * each half (first quarter and first quarter of the second half). Overtime
+     * periods are an extension of the last quarter: team fouls carry over.
+     * @returns {boolean}
+     */
+    isFoulPeriodStart() {
+        if (this.isOvertime()) {
+            return false;
+        }
+        if (this.foulPeriod !== "half") {
+            return true;
+        }
+        return this.isHalfStart();
+    }
+
+    /**
+     * Is the current quarter the first quarter of a half
+     * @returns {boolean}
+     */
+    isHalfStart() {
+        return this.quarter === 1 || this.quarter === Math.floor(this.nrQuarters / 2) + 1;
+    }
+
+    /**
+     * Is the current quarter the last quarter of the first half, i.e., is the break
+     * that follows it the half time
+     * @returns {boolean}
+     */
+    isHalftime() {
+        return this.nrQuarters > 1 && this.quarter === Math.floor(this.nrQuarters / 2);
+    }
+
+    /**
+     * Is the current period an overtime period
+     * @returns {boolean}
+     */
+    isOvertime() {
+        return this.quarter > this.nrQuarters;
+    }
+
+    /**
+     * Number of the current overtime period (1 for OT1,...), 0 during regulation
+     * @returns {number}
+     */
+    getOvertime() {
+        return Math.max(this.quarter - this.nrQuarters, 0);
+    }
+
+    /**
+     * Is the current period played without game clock, i.e., overtime of a game mode
+     * with an overtime score limit: only the shot clock runs
+     * @returns {boolean}
+     */
+    isUntimedPeriod() {
+        return this.isOvertime() && GameModel.gameModes[this.mode].overtimeScoreLimit > 0;
+    }
+
+    /**
+     * Duration of the current period: a quarter or an overtime period (0 if it is
+     * played without game clock)
+     * @returns {number}
+     */
+    getPeriodDuration() {
+        if (this.isUntimedPeriod()) {
+            return 0;
+        }
+        return this.isOvertime() ? this.overtimeDuration : this.timePerQuarter;
+    }
+
+    /**
+     * Another overtime period is needed when the scores are level at the end of
+     * regulation (or of the previous overtime period), unless overtime is disabled
+     * @returns {boolean}
+     */
+    needsOvertime() {
+        return this.overtimeEnabled && this.homeScore === this.guestScore;
+    }
+
+    /**
+     * Start a new quarter (or overtime period):
+     *    - Unpause the game, to allow user to use the increment score buttons again
+     *    - Reset the clock to start the timer for a new quarter
+     *    - Reset the team fouls if a new foul period (quarter or half) starts
+     *    - Give the teams their timeouts allowance again if a new half starts
+     *    - Dispacth the quarterStarted event so the controller knows what to do
+     *
+     * After the last quarter, a new period is only started if an overtime is needed,
+     * which is checked again here since a score may have been undone during the break.
+     */
+    newQuarter() {
+        this.unPauseGame();
+        if (this.quarter >= this.nrQuarters && !this.needsOvertime()) {
+            this.endGame();
+            return;
+        }
+        this.quarter++;
+        this.timer = this.getPeriodDuration();
+        this.shotClock = this.shotClockDuration;
+        this.clockSyncedAt = this.clock.now();
+        this.breakEndsAt = null;
+        if (this.isFoulPeriodStart()) {
+            this.homeFouls = 0;
+            this.guestFouls = 0;
+            this.foulPeriodId++;
+        }
+        if (this.teamTimeoutPeriod === "half" && !this.isOvertime() && this.isHalfStart()) {
+            this.homeTimeouts = this.teamTimeouts;
+            this.guestTimeouts = this.teamTimeouts;
+        }
+        if (this.isAlternatingPossessionStart()) {
+            this.flipPossessionArrow("periodStart");
+        }
+        this.dispatchEvent(new Event('quarterStarted'), {
+            quarter: this.quarter,
+            overtime: this.getOvertime(),
+            duration: this.timer,
+            shotClock: this.getShotClock(),
+            fouls: {home: this.homeFouls, guest: this.guestFouls},
+            bonus: {home: this.isInBonus("home"), guest: this.isInBonus("guest")},
+            timeouts: {home: this.homeTimeouts, guest: this.guestTimeouts},
+            lineScore: this.getLineScore()
+        });
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Decrement timer by the (wall-clock) time elapsed since the last tick of the
+     * controller, or since the game was saved when a saved game is resumed. The
+     * timer is a number of seconds with a fractional part, so that tenths of a second
+     * can be displayed.
+     * The shot clock runs alongside the game clock, and the shotClockViolation event
+     * is fired off when it gets to zero before the end of the period.
+     * If timer gets to zero:
+     *    - End the quarter if there are still more quarters to follow, or if the
+     *      scores are level at the end of the last quarter and overtime is played
+     *    - End the game if we are at the end of the last quarter of the game
+     * In a period played without game clock, only the shot clock runs: the period
+     * ends with the score (see hasReachedScoreLimit()).
+     * @param seconds       Number of seconds elapsed
+     * @returns {number|*}  Current timer value
+     */
+    updateTimer(seconds) {
+        if (this.clockStopped || this.gameOver) {
+            return this.timer;
+        }
+        const untimed = this.isUntimedPeriod();
+        const previousTimer = this.timer;
+        const previousShotClock = this.shotClock;
+        // Rounded to the millisecond, to keep floating point errors from piling up
+        if (!untimed) {
+            this.timer = Math.max(Math.round((this.timer - seconds) * 1000) / 1000, 0);
+        }
+        this.shotClock = Math.max(Math.round((this.shotClock - seconds) * 1000) / 1000, 0);
+        this.clockSyncedAt = this.clock.now();
+        if (previousShotClock > 0 && this.shotClock === 0 && (this.timer > 0 || untimed)) {
+            this.dispatchEvent(new Event('shotClockViolation'), {timer: this.timer});
+        }
+        if (this.timer <= 0 && !untimed) {
+            if (this.quarter < this.nrQuarters || this.needsOvertime()) {
+                this.endQuarter();
+            } else {
+                this.endGame();
+            }
+        }
+        // The controller ticks several times per second: saving the game once per
+        // second of game clock (of shot clock, without game clock) is plenty
+        const saved = untimed
+            ? Math.ceil(this.shotClock) !== Math.ceil(previousShotClock)
+            : Math.ceil(this.timer) !== Math.ceil(previousTimer) || this.timer <= 0;
+        if (saved) {
+            this.notifyStateChanged();
+        }
+        return this.timer;
+    }
+
+    /**
+     * Ends a quater of the game:
+     *      - Pause the game to prevent users from incrementing scores in between
+     *        quarters (the pause is longer at half time)
+     *      - Fire off the quarterEnded event
+     *
+     */
+    endQuarter() {
+        this.pauseGame();
+        const pauseDuration = this.isHalftime() ? this.secondsPerHalftime : this.secondsPerInterQuarter;
+        this.breakEndsAt = this.clock.now() + pauseDuration * 1000;
+        this.dispatchEvent(new Event('quarterEnded'), {
+            pauseDuration: pauseDuration
+        });
+    }
+
+    /**
+     * Pausing the game has the effect of preventing user from incrementing
+     * scores
+     */
+    pauseGame() {
+        this.gamePaused = true;
+    }
+
+    /**
+     * Unpausing the game reinstated the possibility to increment scores
+     *
+     */
+    unPauseGame() {
+        this.gamePaused = false;
+    }
+
+    /**
+     * Stop the game clock in the middle of a quarter (table officials' Pause button):
+     *      - Pause the game, so scores are frozen while the clock is stopped
+     *      - Fire off the gamePaused event, so the controller can stop its timer
+     *
+     * The clock can only be stopped while a quarter is being played, not in between
+     * quarters nor once the game is over.
+     *
+     * @returns {boolean}   true if the clock was actually stopped
+     */
+    stopClock() {
+        if (this.gameOver || this.gamePaused || this.clockStopped) {
+            return false;
+        }
+        this.clockStopped = true;
+        this.pauseGame();
+        this.dispatchEvent(new Event('gamePaused'), {timer: this.timer});
+        this.notifyStateChanged();
+        return true;
+    }
+
+    /**
+     * Restart the game clock after it was stopped with stopClock():
+     *      - Unpause the game, to allow user to use the increment score buttons again
+     *      - Fire off the gameUnpaused event, so the controller can restart its timer
+     *
+     * @returns {boolean}   true if the clock was actually restarted
+     */
+    restartClock() {
+        if (this.gameOver || !this.clockStopped) {
+            return false;
+        }
+        if (this.teamTimeout) {
+            // Restarting the clock cuts the timeout short
+            this.endTimeout();
+        }
+        this.clockStopped = false;
+        this.clockSyncedAt = this.clock.now();
+        this.unPauseGame();
+        this.dispatchEvent(new Event('gameUnpaused'), {timer: this.timer});
+        this.notifyStateChanged();
+        return true;
+    }
+
+    /**
+     * Manually correct the remaining time of the current quarter, for instance when
+     * the clock was started late. Only allowed while the clock is stopped, and the
+     * result is kept between 1 second and the duration of the current period.
+     *
+     * @param seconds   Number of seconds to add (positive) or remove (negative)
+     * @returns {number|null}   New timer value, or null if the clock is not stopped
+     */
+    adjustTimer(seconds) {
+        if (!this.clockStopped) {
+            return null;
+        }
+        this.timer = Math.min(Math.max(this.timer + seconds, 1), this.getPeriodDuration());
+        this.notifyStateChanged();
+        return this.timer;
+    }
+
+    /**
+     * A team calls a timeout:
+     *      - Take one timeout off the team allowance
+     *      - Stop the game clock, if it is running
+     *      - Fire off the timeoutCalled event, so that the controller can count the
+     *        timeout down and call endTimeout() when it is over
+     *
+     * Only allowed while a quarter is being played, when no other timeout is in
+     * progress and if the team has timeouts left.
+     *
+     * @param team    Either "home" or "guest"
+     * @returns {boolean}   true if the timeout was actually called
+     */
+    callTimeout(team) {
+        if (!this.isInPlay() || this.teamTimeout || this.getTimeouts(team) <= 0) {
+            return false;
+        }
+        this[`${team}Timeouts`]--;
+        this.teamTimeout = {team: team, endsAt: this.clock.now() + this.teamTimeoutDuration * 1000};
+        if (!this.clockStopped) {
+            this.stopClock();
+        }
+        this.dispatchEvent(new Event('timeoutCalled'), {
+            team: team,
+            remaining: this.getTimeouts(team),
+            duration: this.teamTimeoutDuration
+        });
+        this.notifyStateChanged();
+        return true;
+    }
+
+    /**
+     * Is the possession arrow used at all, with the rules of the game
+     * @returns {boolean}
+     */
+    usesPossessionArrow() {
+        return this.possessionRule !== "none";
+    }
+
+    /**
+     * Does the current period start with an alternating possession throw-in, which
+     * flips the arrow: every period after the first one, or, with the "half" rule,
+     * the start of the second half and of every overtime period
+     * @returns {boolean}
+     */
+    isAlternatingPossessionStart() {
+        if (this.quarter <= 1 || this.possessionArrow === null) {
+            return false;
+        }
+        if (this.possessionRule === "period") {
+            return true;
+        }
+        return this.possessionRule === "half" && (this.isOvertime() || this.isHalfStart());
+    }
+
+    /**
+     * The operator sets the possession arrow after the opening tip: it points to the
+     * team that gets the next alternating possession, i.e., the team that lost the tip.
+     * Can also be used to correct the arrow later on.
+     * @param team    Either "home" or "guest"
+     * @returns {boolean}   true if the arrow was set
+     */
+    setPossessionArrow(team) {
+        if (this.gameOver || !this.usesPossessionArrow()) {
+            return false;
+        }
+        this.possessionArrow = team;
+        this.dispatchEvent(new Event('possessionChanged'), {
+            arrow: team,
+            awarded: null,
+            reason: "set"
+        });
+        this.notifyStateChanged();
+        return true;
+    }
+
+    /**
+     * A held ball (jump ball situation) is recorded: the team the arrow points to is
+     * awarded the ball, and the arrow is flipped. The jump ball is kept, with the
+     * period and the game clock, in the list of jump balls.
+     * @returns {string|null}   Team awarded the ball, or null if there is no arrow
+     *                          (not set yet, not used, or game over)
+     */
+    recordJumpBall() {
+        if (this.gameOver || this.possessionArrow === null) {
+            return null;
+        }
+        const awarded = this.possessionArrow;
+        this.jumpBalls.push({
+            awarded: awarded,
+            quarter: this.quarter,
+            overtime: this.getOvertime(),
+            clock: this.timer,
+            timestamp: this.clock.now()
+        });
+        this.flipPossessionArrow("jumpBall");
+        this.notifyStateChanged();
+        return awarded;
+    }
+
+    /**
+     * The team the arrow points to gets the ball: the arrow now points to the other
+     * team. Fire off the possessionChanged event.
+     * @param reason  "jumpBall" or "periodStart"
+     */
+    flipPossessionArrow(reason) {
+        const awarded = this.possessionArrow;
+        this.possessionArrow = awarded === "home" ? "guest" : "home";
+        this.dispatchEvent(new Event('possessionChanged'), {
+            arrow: this.possessionArrow,
+            awarded: awarded,
+            reason: reason
+        });
+    }
+
+    /**
+     * The team timeout is over. The game clock stays stopped until the officials
+     * restart it.
+     */
+    endTimeout() {
+        if (!this.teamTimeout) {
+            return;
+        }
+        const team = this.teamTimeout.team;
+        this.teamTimeout = null;
+        this.dispatchEvent(new Event('timeoutEnded'), {team: team});
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Number of timeouts a team has left
+     * @param team    Either "home" or "guest"
+     * @returns {number}
+     */
+    getTimeouts(team) {
+        return this[`${team}Timeouts`];
+    }
+
+    /**
+     * Is a team timeout in progress
+     * @returns {boolean}
+     */
+    isTimeoutInProgress() {
+        return this.teamTimeout !== null;
+    }
+
+    /**
+     * Is a quarter being played, with the clock running or stopped by the officials
+     * (as opposed to in between quarters or after the game)
+     * @returns {boolean}
+     */
+    isInPlay() {
+        return !this.gameOver && (!this.gamePaused || this.clockStopped);
+    }
+
+    /**
+     * Reset the shot clock, to its full duration after a change of possession or a
+     * basket, or to the shorter duration after an offensive rebound. Only allowed
+     * while a quarter is being played (clock running or stopped).
+     *
+     * @param offensive   true to reset to the offensive rebound duration
+     * @returns {number|null}   New shot clock value (null if the shot clock is off),
+     *                          or undefined if no quarter is being played
+     */
+    resetShotClock(offensive = false) {
+        if (this.gameOver || (this.gamePaused && !this.clockStopped)) {
+            return undefined;
+        }
+        this.shotClock = offensive ? this.shotClockOffensiveDuration : this.shotClockDuration;
+        this.notifyStateChanged();
+        return this.getShotClock();
+    }
+
+    /**
+     * Current shot clock value. The shot clock is turned off (null) when less time
+     * remains on the game clock than on the shot clock, unless there is no game clock.
+     * @returns {number|null}
+     */
+    getShotClock() {
+        return this.shotClock > this.timer && !this.isUntimedPeriod() ? null : this.shotClock;
+    }
+
+    /**
+     * Is the game clock stopped by the officials (as opposed to the automatic pause
+     * in between quarters)
+     * @returns {boolean|*}
+     */
+    isClockStopped() {
+        return this.clockStopped;
+    }
+
+    /**
+     * Is the game paused or not
+     * @returns {boolean|*}
+     */
+    isPaused() {
+        return this.gamePaused;
+    }
+
+    /**
+     * Is the game over
+     * @returns {boolean|*}
+     */
+    isOver() {
+        return this.gameOver;
+    }
+
+    /**
+     * End the game:
+     *      - Determine the winner, if any
+     *      - Fire off the gameEnded event
+     */
+    endGame() {
+        this.gameOver = true;
+        this.dispatchEvent(new Event('gameEnded'), {
+            winner: this.getWinner(),
+            lineScore: this.getLineScore()
+        });
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Take back the end of the game, once the basket that ended it on the score limit
+     * was undone: the game goes on with the clock stopped, until the officials restart it
+     *      - Fire off the gameReopened event
+     */
+    reopenGame() {
+        this.gameOver = false;
+        this.clockStopped = true;
+        this.pauseGame();
+        this.dispatchEvent(new Event('gameReopened'), {timer: this.timer});
+    }
+
+    /**
+     * Team currently leading the game, i.e., the winner once the game is over
+     * @returns {string}  "home", "guest", or "" if the scores are level
+     */
+    getWinner() {
+        return this.homeScore > this.guestScore
+            ? "home"
+            : this.guestScore > this.homeScore ? "guest" : "";
+    }
+
+    /**
+     * What a scoreboard shows, ready to be displayed (clocks and period formatted the
+     * way the scorer's table shows them) and as raw values, e.g., for the audience
+     * display, the streaming overlay or the JSON state of the scoreboard server
+     * @returns {{clock: string, clockSeconds: number, clockStopped: boolean, clockRunning: boolean,
+     *            shotClock: string, shotClockSeconds: number|null, period: string,
+     *            quarter: number, overtime: number, scores: Object, fouls: Object,
+     *            bonus: Object, timeouts: Object, possessionArrow: string|null,
+     *            gameOver: boolean, winner: string}}
+     */
+    getScoreboard() {
+        // No shot clock before the first period
+        const shotClock = this.quarter ? this.getShotClock() : null;
+        return {
+            clock: formatClock(this.timer),
+            clockSeconds: this.timer,
+            clockStopped: this.clockStopped,
+            clockRunning: !this.gamePaused && !this.gameOver,
+            shotClock: shotClock === null ? "" : Math.ceil(shotClock).toString(),
+            shotClockSeconds: shotClock,
+            period: this.quarter ? formatPeriod(this.quarter, this.getOvertime()) : "-",
+            quarter: this.quarter,
+            overtime: this.getOvertime(),
+            scores: {home: this.homeScore, guest: this.guestScore},
+            fouls: {home: this.homeFouls, guest: this.guestFouls},
+            bonus: {home: this.isInBonus("home"), guest: this.isInBonus("guest")},
+            timeouts: {home: this.homeTimeouts, guest: this.guestTimeouts},
+            possessionArrow: this.possessionArrow,
+            gameOver: this.gameOver,
+            winner: this.getWinner(),
+        };
+    }
+
+    /**
+     * Points and fouls of each team, period by period (quarters, then overtime
+     * periods). Like the box score, it is computed from the play-by-play log.
+     * @returns {Array<{quarter: number, overtime: number, points: {home: number, guest: number},
+     *                  fouls: {home: number, guest: number}}>}
+     */
+    getLineScore() {
+        const lineScore = Array.from({length: Math.max(this.quarter, this.nrQuarters)}, (_, index) => ({
+            quarter: index + 1,
+            overtime: Math.max(index + 1 - this.nrQuarters, 0),
+            points: {home: 0, guest: 0},
+            fouls: {home: 0, guest: 0},
+        }));
+        this.playLog.forEach((entry) => {
+            const period = lineScore[entry.quarter - 1];
+            if (entry.action === "score") {
+                period.points[entry.team] += entry.points;
+            } else {
+                period.fouls[entry.team]++;
+            }
+        });
+        return lineScore;
+    }
+
+    /**
+     * Game specifications the Model was created with, in the same shape as the
+     * controller's getGameSpecs()
+     * @returns {{quarters: number, quarterDuration: number, timeOut: number,
+     *            foulPeriod: string, bonusThreshold: number, foulLimit: number,
+     *            overtime: boolean, overtimeDuration: number, shotClock: number,
+     *            shotClockOffensive: number, teamTimeouts: number,
+     *            teamTimeoutPeriod: string, teamTimeoutDuration: number,
+     *            possessionRule: string, mode: string}}
+     */
+    getSpecs() {
+        return {
+            quarters: this.nrQuarters,
+            quarterDuration: this.timePerQuarter,
+            timeOut: this.secondsPerInterQuarter,
+            halftime: this.secondsPerHalftime,
+            foulPeriod: this.foulPeriod,
+            bonusThreshold: this.bonusThreshold,
+            foulLimit: this.foulLimit,
+            overtime: this.overtimeEnabled,
+            overtimeDuration: this.overtimeDuration,
+            shotClock: this.shotClockDuration,
+            shotClockOffensive: this.shotClockOffensiveDuration,
+            teamTimeouts: this.teamTimeouts,
+            teamTimeoutPeriod: this.teamTimeoutPeriod,
+            teamTimeoutDuration: this.teamTimeoutDuration,
+            possessionRule: this.possessionRule,
+            mode: this.mode,
+        };
+    }
+
+    /**
+     * Snapshot of the full game state, as plain data that can be serialized to
+     * JSON. Wall-clock times (clockSyncedAt, breakEndsAt) are included so that the
+     * timers can be resumed from the actual time when the state is restored.
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            specs: this.getSpecs(),
+            quarter: this.quarter,
+            timer: this.timer,
+            shotClock: this.shotClock,
+            clockSyncedAt: this.clockSyncedAt,
+            breakEndsAt: this.breakEndsAt,
+            gamePaused: this.gamePaused,
+            clockStopped: this.clockStopped,
+            gameOver: this.gameOver,
+            scores: {home: this.homeScore, guest: this.guestScore},
+            fouls: {home: this.homeFouls, guest: this.guestFouls},
+            playerFouls: {home: {...this.homePlayerFouls}, guest: {...this.guestPlayerFouls}},
+            timeouts: {home: this.homeTimeouts, guest: this.guestTimeouts},
+            teamTimeout: this.teamTimeout ? {...this.teamTimeout} : null,
+            foulPeriodId: this.foulPeriodId,
+            playLog: [...this.playLog],
+            redoStack: [...this.redoStack],
+            rosters: {home: [...this.rosters.home], guest: [...this.rosters.guest]},
+            possessionArrow: this.possessionArrow,
+            jumpBalls: [...this.jumpBalls],
+        };
+    }
+
+    /**
+     * Restore the internal state variables from a snapshot taken with getState().
+     * No event is fired off: the controller decides how to resume the timers.
+     * @param state   Game state snapshot
+     */
+    restoreState(state) {
+        this.initGame();
+        this.quarter = state.quarter;
+        this.timer = state.timer;
+        this.shotClock = state.shotClock;
+        this.clockSyncedAt = state.clockSyncedAt;
+        this.breakEndsAt = state.breakEndsAt;
+        this.gamePaused = state.gamePaused;
+        this.clockStopped = state.clockStopped;
+        this.gameOver = state.gameOver;
+        this.homeScore = state.scores.home;
+        this.guestScore = state.scores.guest;
+        this.homeFouls = state.fouls.home;
+        this.guestFouls = state.fouls.guest;
+        this.homePlayerFouls = {...state.playerFouls.home};
+        this.guestPlayerFouls = {...state.playerFouls.guest};
+        this.homeTimeouts = state.timeouts.home;
+        this.guestTimeouts = state.timeouts.guest;
+        this.teamTimeout = state.teamTimeout ? {...state.teamTimeout} : null;
+        this.foulPeriodId = state.foulPeriodId;
+        this.playLog = [...state.playLog];
+        this.redoStack = [...state.redoStack];
+        this.setRosters(state.rosters);
+        // Games saved before the possession arrow existed have none
+        this.possessionArrow = state.possessionArrow ?? null;
+        this.jumpBalls = [...(state.jumpBalls ?? [])];
+    }
+
+    /**
+     * Fire off the stateChanged event after any change of the internal state, so that
+     * the game can be saved. Like every event, it carries a snapshot of the game.
+     */
+    notifyStateChanged() {
+        this.dispatchEvent(new Event('stateChanged'));
+    }
+
+}
+
+/**
+ * Game Report
+ *
+ * Turns a finished game into downloadable files: JSON (which can be imported back
+ * for review), CSV and a print-friendly HTML summary sheet.
+ * A report is the game state snapshot (GameModel.getState()) completed with the
+ * team names, the winner, the line score and the box score.
+ */
+export class GameReport {
+
+    /**
+     * Identifies the JSON files exported by the scoreboard
+     * @type {string}
+     */
+    static format = "scoreboard-game-report";
+
+    /**
+     * JSON export
+     * @param report    Game report
+     * @returns {string}
+     */
+    static toJSON(report) {
+        return JSON.stringify({format: GameReport.format, ...report}, null, 2);
+    }
+
+    /**
+     * JSON import: parse a file exported with toJSON(), and check that it holds a
+     * finished game, with all the statistics restoreState() needs
+     * @param text      Content of the JSON file
+     * @returns {Object}  Game report
+     * @throws {Error}  If the file is not a finished game exported by the scoreboard,
+     *                  or is missing some of its statistics
+     */
+    static fromJSON(text) {
+        let report;
+        try {
+            report = JSON.parse(text);
+        } catch (error) {
+            throw new Error("This file is not a JSON file!");
+        }
+        if (!report || report.format !== GameReport.format) {
+            throw new Error("This file is not a game exported by the scoreboard!");
+        }
+        if (!report.gameOver || !report.specs || !report.scores || !Array.isArray(report.playLog)) {
+            throw new Error("This file does not hold a finished game!");
+        }
+        const teams = ["home", "guest"];
+        const complete =
+            ["scores", "fouls", "timeouts"].every((key) =>
+                report[key] && teams.every((team) => Number.isInteger(report[key][team]))
+            ) &&
+            ["playerFouls", "rosters"].every((key) =>
+                report[key] && teams.every((team) => report[key][team] && typeof report[key][team] === "object")
+            ) &&
+            Array.isArray(report.redoStack);
+        if (!complete) {
+            throw new Error("This file is damaged, some of the game statistics are missing!");
+        }
+        const readable =
+            Number.isInteger(report.quarter) && report.quarter >= 0 &&
+            Object.hasOwn(GameModel.gameModes, report.specs.mode ?? "standard") &&
+            [...report.playLog, ...report.redoStack].every((entry) => GameReport.isValidEntry(entry, report));
+        if (!readable) {
+            throw new Error("This file is damaged, the play-by-play log cannot be read!");
+        }
+        return report;
+    }
+
+    /**
+     * Check a play-by-play entry of an imported game: a score or a foul of either
+     * team, in one of the periods played, with the game clock at the time
+     * @param entry     Play-by-play entry
+     * @param report    Game report the entry belongs to
+     * @returns {boolean}
+     */
+    static isValidEntry(entry, report) {
+        if (!entry || typeof entry !== "object" || !["home", "guest"].includes(entry.team)) {
+            return false;
+        }
+        const points = GameModel.gameModes[report.specs.mode ?? "standard"].points;
+        const play = entry.action === "score"
+            ? points.includes(entry.points)
+            : entry.action === "foul" && entry.points === 0 && typeof entry.player === "string";
+        return play &&
+            Number.isInteger(entry.quarter) && entry.quarter >= 1 && entry.quarter <= report.quarter &&
+            Number.isInteger(entry.overtime) && entry.overtime >= 0 &&
+            Number.isFinite(entry.clock) && entry.clock >= 0 &&
+            Number.isFinite(entry.timestamp);
+    }
+
+    /**
+     * CSV export: blocks for the result, the line score, the box score and the
+     * play-by-play log, separated by empty lines
+     * @param report    Game report
+     * @returns {string}
+     */
+    static toCSV(report) {
+        const {home, guest} = report.teams;
+        const rows = [
+            ["Team", home.name, guest.name],
+            ["Final score", report.scores.home, report.scores.guest],
+            ["Winner", report.winner ? report.teams[report.winner].name : "Draw"],
+            [],
+            ["Period", `${home.name} points`, `${guest.name} points`, `${home.name} fouls`, `${guest.name} fouls`],
+            ...report.lineScore.map((period) => [
+                formatPeriod(period.quarter, period.overtime),
+                period.points.home, period.points.guest, period.fouls.home, period.fouls.guest
+            ]),
+            [],
+            ["Team", "#", "Player", "PTS", "1PM", "2PM", "3PM", "PF"],
+            ...["home", "guest"].flatMap((team) =>
+                [...report.boxScore[team].players, report.boxScore[team].totals].map((line) => [
+                    report.teams[team].name, line.number, line.name,
+                    line.points, line.ones, line.twos, line.threes, line.fouls
+                ])
+            ),
+            [],
+            ["Period", "Clock", "Team", "Action", "Points", "Player", "Time"],
+            ...report.playLog.map((entry) => [
+                formatPeriod(entry.quarter, entry.overtime),
+                formatClock(entry.clock),
+                report.teams[entry.team].name,
+                entry.action,
+                entry.points,
+                entry.player ?? "",
+                new Date(entry.timestamp).toISOString()
+            ]),
+        ];
+        return rows.map((row) => row.map(GameReport.csvField).join(",")).join("\r\n");
+    }
+
+    /**
+     * Quote a CSV field if it contains a comma, a quote or a line break
+     * @param value
+     * @returns {string}
+     */
+    static csvField(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Print-friendly HTML summary sheet: result, line score, box scores and play log
+     * @param report    Game report
+     * @returns {string}
+     */
+    static toHTML(report) {
+        const escape = GameReport.escapeHTML;
+        const {home, guest} = report.teams;
+        const table = (headers, rows) => `<table>
+<thead><tr>${headers.map((header) => `<th>${escape(header)}</th>`).join("")}</tr></thead>
+<tbody>
+${rows.map((row) => `<tr>${row.map((cell) => `<td>${escape(cell)}</td>`).join("")}</tr>`).join("\n")}
+</tbody>
+</table>`;
+        const result = report.winner ? `Winner: ${report.teams[report.winner].name}` : "Draw";
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(home.name)} - ${escape(guest.name)}</title>
+<style>
+body { font-family: Arial, Helvetica, sans-serif; margin: 20px; color: black; }
+h1 { font-size: 1.6rem; margin: 0 0 5px; }
+h2 { font-size: 1.2rem; margin: 20px 0 5px; }
+table { border-collapse: collapse; margin-bottom: 10px; }
+th, td { border: 1px solid #999; padding: 3px 8px; text-align: right; }
+th { background-color: #eee; }
+td:first-child, th:first-child { text-align: left; }
+@media print { h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+<h1>${escape(home.name)} ${report.scores.home} - ${report.scores.guest} ${escape(guest.name)}</h1>
+<p>${escape(result)} &middot; Exported ${escape(new Date(report.exportedAt).toLocaleString())}</p>
+<h2>Line score</h2>
+${table(
+    ["Team", ...report.lineScore.map((period) => formatPeriod(period.quarter, period.overtime)), "Total", "Fouls"],
+    ["home", "guest"].map((team) => [
+        report.teams[team].name,
+        ...report.lineScore.map((period) => period.points[team]),
+        report.scores[team],
+        report.lineScore.reduce((fouls, period) => fouls + period.fouls[team], 0)
+    ])
+)}
+${["home", "guest"].map((team) => `<h2>${escape(report.teams[team].name)}</h2>
+${table(
+    ["#", "Player", "PTS", "1PM", "2PM", "3PM", "PF"],
+    [...report.boxScore[team].players, report.boxScore[team].totals].map((line) => [
+        line.number, line.name, line.points, line.ones, line.twos, line.threes, line.fouls
+    ])
+)}`).join("\n")}
+<h2>Play-by-play</h2>
+${table(
+    ["Period", "Clock", "Team", "Action", "Player"],
+    report.playLog.map((entry) => [
+        formatPeriod(entry.quarter, entry.overtime),
+        formatClock(entry.clock),
+        report.teams[entry.team].name,
+        entry.action === "score" ? `+${entry.points}` : "Foul",
+        entry.player ? `#${entry.player}` : ""
+    ])
+)}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Escape text to be inserted in HTML
+     * @param value
+     * @returns {string}
+     */
+    static escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    }
+
+}
+
+/**
+ * Game Replay
+ *
+ * Rebuilds the scoreboard of a game (finished, or imported for review) at any moment,
+ * from its play-by-play log: every entry is replayed, in order, through a GameModel,
+ * which resets the team fouls and starts the periods with the rules of the game.
+ * Moments are given in seconds of game time elapsed since the start of the first
+ * period, from 0 to the duration of all the periods played (overtime included).
+ * The replay also finds the lead changes and the scoring runs, to mark them on the
+ * timeline.
+ */
+export class GameReplay {
+
+    /**
+     * Points a team must score in a row, without the other team scoring, to make a run
+     * @type {number}
+     */
+    static runThreshold = 8;
+
+    /**
+     * @param state   Game state snapshot (GameModel.getState()) or game report
+     */
+    constructor(state) {
+        this.specs = state.specs;
+        this.rosters = state.rosters;
+        // Periods played: start (in seconds of game time) and duration of each of them.
+        // Overtime played without game clock (3x3) takes no time on the timeline.
+        const untimedOvertime = GameModel.gameModes[this.specs.mode ?? "standard"].overtimeScoreLimit > 0;
+        this.periods = [];
+        let start = 0;
+        for (let quarter = 1; quarter <= Math.max(state.quarter, 1); quarter++) {
+            const overtime = Math.max(quarter - this.specs.quarters, 0);
+            const duration = !overtime
+                ? this.specs.quarterDuration
+                : untimedOvertime ? 0 : this.specs.overtimeDuration;
+            this.periods.push({quarter: quarter, overtime: overtime, start: start, duration: duration});
+            start += duration;
+        }
+        // A game ended by the score limit ends before the clock does
+        this.duration = state.gameOver ? start - state.timer : start;
+        this.entries = state.playLog.map((entry) => ({
+            ...entry,
+            elapsed: this.periods[entry.quarter - 1].start + this.periods[entry.quarter - 1].duration - entry.clock,
+        }));
+    }
+
+    /**
+     * Period and game clock at a moment of the game
+     * @param elapsed   Seconds of game time since the start of the first period
+     * @returns {{quarter: number, overtime: number, clock: number}}
+     */
+    getPeriodAt(elapsed) {
+        const period = this.periods.findLast((entry) => entry.start <= elapsed) || this.periods[0];
+        return {
+            quarter: period.quarter,
+            overtime: period.overtime,
+            clock: Math.max(period.start + period.duration - elapsed, 0),
+        };
+    }
+
+    /**
+     * The game as it was at a moment: a GameModel with the scores, fouls and
+     * play-by-play log of that moment, its clock showing the time that was left.
+     * The shot clock is not recorded, so it is off.
+     * @param elapsed   Seconds of game time since the start of the first period
+     * @returns {GameModel}
+     */
+    getModelAt(elapsed) {
+        let now = 0;
+        // The entries are recorded again with their own timestamp
+        const model = new GameModel(this.specs, {...systemClock, now: () => now});
+        model.initGame();
+        model.setRosters(this.rosters);
+        this.entries.filter((entry) => entry.elapsed <= elapsed).forEach((entry) => {
+            GameReplay.startPeriods(model, entry.quarter);
+            now = entry.timestamp;
+            model.timer = entry.clock;
+            if (entry.action === "score") {
+                model.updateScore(entry.team, entry.points, entry.player);
+            } else {
+                model.updateFouls(entry.team, entry.player);
+            }
+        });
+        const moment = this.getPeriodAt(elapsed);
+        GameReplay.startPeriods(model, moment.quarter);
+        model.timer = moment.clock;
+        model.shotClock = null;
+        model.gameOver = elapsed >= this.duration;
+        return model;
+    }
+
+    /**
+     * Start the periods of the replayed game up to the given one. The game may end
+     * before it gets there, e.g., overtime was played, then the basket that tied the
+     * game at the end of regulation was undone: the replay stays in the last period.
+     * @param model     Game being replayed
+     * @param quarter   Period to get to
+     */
+    static startPeriods(model, quarter) {
+        while (model.quarter < quarter && !model.isOver()) {
+            model.newQuarter();
+        }
+    }
+
+    /**
+     * Lead changes (the other team takes the lead; a tie does not end a lead) and
+     * scoring runs (at least runThreshold points in a row), in the order of the game
+     * @returns {Array<{type: string, team: string, elapsed: number, quarter: number,
+     *                  overtime: number, clock: number, scores: Object, points: number}>}
+     *          type is "leadChange" or "run". A run starts at elapsed, ends at endElapsed,
+     *          and is worth points; scores are the scores after the lead change or the run
+     */
+    getMarkers() {
+        const markers = [];
+        const scores = {home: 0, guest: 0};
+        let leader = "";
+        let run = null;
+        const marker = (type, entry) => ({
+            type: type, team: entry.team, elapsed: entry.elapsed, ...this.getPeriodAt(entry.elapsed),
+            scores: {...scores},
+        });
+        this.entries.filter((entry) => entry.action === "score").forEach((entry) => {
+            scores[entry.team] += entry.points;
+            const newLeader = scores.home > scores.guest ? "home" : scores.guest > scores.home ? "guest" : "";
+            if (leader && newLeader && newLeader !== leader) {
+                markers.push(marker("leadChange", entry));
+            }
+            leader = newLeader || leader;
+            if (run && run.team === entry.team) {
+                run.points += entry.points;
+                run.endElapsed = entry.elapsed;
+                run.scores = {...scores};
+                return;
+            }
+            if (run && run.points >= GameReplay.runThreshold) {
+                markers.push(run);
+            }
+            run = {...marker("run", entry), points: entry.points, endElapsed: entry.elapsed};
+        });
+        if (run && run.points >= GameReplay.runThreshold) {
+            markers.push(run);
+        }
+        return markers.sort((first, second) => first.elapsed - second.elapsed);
+    }
+
+}
+
+/**
+ * Season
+ *
+ * A small league: the teams, the fixture list (with the game specifications of each
+ * fixture), the final score of the fixtures played, and the standings computed from
+ * those results. The fixture being played, if any, is remembered so that its result
+ * can be stored when the game ends, even if the page was reloaded in between.
+ * Teams are identified by their name.
+ */
+export class Season {
+
+    /**
+     * @param teams           Team names
+     * @param fixtures        Fixtures: {id, home, guest, specs, result}, result being
+     *                        null until the fixture is played, then {home, guest, playedAt}
+     * @param liveFixtureId   Fixture being played, null if none
+     * @param nextFixtureId   Id of the next fixture added
+     * @param records         Settings of the teams ({color, logo, roster}), by team name
+     */
+    constructor({teams = [], fixtures = [], liveFixtureId = null, nextFixtureId = 1, records = {}} = {}) {
+        this.teams = [...teams];
+        this.records = {...records};
+        this.fixtures = fixtures.map((fixture) => ({...fixture}));
+        this.liveFixtureId = liveFixtureId;
+        this.nextFixtureId = nextFixtureId;
+    }
+
+    /**
+     * Add a team to the league
+     * @param name
+     * @returns {boolean}   false if the name is empty or already taken
+     */
+    addTeam(name) {
+        if (!name || this.teams.includes(name)) {
+            return false;
+        }
+        this.teams.push(name);
+        return true;
+    }
+
+    /**
+     * Remember the settings of a team of the league, to play its fixtures with them
+     * @param name
+     * @param record  Team settings: {color, logo, roster}
+     * @returns {boolean}   false if the team is not a team of the league
+     */
+    setTeamRecord(name, {color, logo, roster}) {
+        if (!this.teams.includes(name)) {
+            return false;
+        }
+        this.records[name] = {color: color, logo: logo, roster: [...roster]};
+        return true;
+    }
+
+    /**
+     * @param name
+     * @returns {Object|null}   Settings of the team ({color, logo, roster}), or null if
+     *                          none were recorded
+     */
+    getTeamRecord(name) {
+        const record = this.records[name];
+        return record ? {...record, roster: [...record.roster]} : null;
+    }
+
+    /**
+     * Add a fixture between two teams of the league
+     * @param home    Home team name
+     * @param guest   Guest team name
+     * @param specs   Game specifications the fixture is played with
+     * @returns {Object|null}   The fixture, or null if the teams are not two different
+     *                          teams of the league
+     */
+    addFixture(home, guest, specs) {
+        if (home === guest || !this.teams.includes(home) || !this.teams.includes(guest)) {
+            return null;
+        }
+        const fixture = {id: this.nextFixtureId++, home: home, guest: guest, specs: {...specs}, result: null};
+        this.fixtures.push(fixture);
+        return fixture;
+    }
+
+    /**
+     * Remove a fixture that has not been played
+     * @param id
+     * @returns {boolean}   false if there is no such fixture, or if it was played
+     */
+    removeFixture(id) {
+        const fixture = this.getFixture(id);
+        if (!fixture || fixture.result) {
+            return false;
+        }
+        this.fixtures = this.fixtures.filter((entry) => entry !== fixture);
+        if (this.liveFixtureId === id) {
+            this.liveFixtureId = null;
+        }
+        return true;
+    }
+
+    /**
+     * @param id
+     * @returns {Object|undefined}
+     */
+    getFixture(id) {
+        return this.fixtures.find((fixture) => fixture.id === id);
+    }
+
+    /**
+     * A game is launched from a fixture: remember it, to store its result
+     * @param id
+     * @returns {Object|null}   The fixture, or null if there is no such fixture or if it
+     *                          was already played
+     */
+    startFixture(id) {
+        const fixture = this.getFixture(id);
+        if (!fixture || fixture.result) {
+            return null;
+        }
+        this.liveFixtureId = id;
+        return fixture;
+    }
+
+    /**
+     * The game of the live fixture ended: store its final score
+     * @param scores      Object with the home and guest scores
+     * @param playedAt    Time the game ended, in ms
+     * @returns {Object|null}   The fixture, or null if no fixture was being played
+     */
+    recordResult(scores, playedAt) {
+        const fixture = this.getFixture(this.liveFixtureId);
+        this.liveFixtureId = null;
+        if (!fixture) {
+            return null;
+        }
+        fixture.result = {home: scores.home, guest: scores.guest, playedAt: playedAt};
+        return fixture;
+    }
+
+    /**
+     * The game of a fixture was reopened (its last basket was undone): take its result
+     * back, and make it the live fixture again
+     * @param id
+     * @returns {Object|null}   The fixture, or null if there is no such fixture or if it
+     *                          has no result
+     */
+    reopenFixture(id) {
+        const fixture = this.getFixture(id);
+        if (!fixture || !fixture.result) {
+            return null;
+        }
+        fixture.result = null;
+        this.liveFixtureId = id;
+        return fixture;
+    }
+
+    /**
+     * Standings computed from the fixtures played: games played, wins, losses, draws,
+     * points for and against, and point differential. Teams are ranked on wins, then
+     * point differential, then points scored.
+     * @returns {Array<{team: string, played: number, wins: number, losses: number, draws: number,
+     *                  pointsFor: number, pointsAgainst: number, difference: number}>}
+     */
+    getStandings() {
+        const standings = new Map(this.teams.map((team) => [team, {
+            team: team, played: 0, wins: 0, losses: 0, draws: 0, pointsFor: 0, pointsAgainst: 0, difference: 0,
+        }]));
+        this.fixtures.filter((fixture) => fixture.result).forEach((fixture) => {
+            [["home", "guest"], ["guest", "home"]].forEach(([side, otherSide]) => {
+                const line = standings.get(fixture[side]);
+                if (!line) {
+                    return;
+                }
+                const scored = fixture.result[side];
+                const conceded = fixture.result[otherSide];
+                line.played++;
+                line.pointsFor += scored;
+                line.pointsAgainst += conceded;
+                line.difference = line.pointsFor - line.pointsAgainst;
+                if (scored > conceded) {
+                    line.wins++;
+                } else if (scored < conceded) {
+                    line.losses++;
+                } else {
+                    line.draws++;
+                }
+            });
+        });
+        return [...standings.values()].sort((a, b) =>
+            b.wins - a.wins || b.difference - a.difference || b.pointsFor - a.pointsFor
+        );
+    }
+
+    /**
+     * Snapshot of the season, as plain data that can be serialized to JSON and given
+     * back to the constructor
+     * @returns {Object}
+     */
+    getState() {
+        return {
+            teams: [...this.teams],
+            fixtures: this.fixtures.map((fixture) => ({...fixture})),
+            liveFixtureId: this.liveFixtureId,
+            nextFixtureId: this.nextFixtureId,
+            records: {...this.records},
+        };
+    }
+
+}
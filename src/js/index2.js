@@ -42,247 +42,320 @@
 //*
 //****************************************************************************************
 
+import {GameModel, GameReplay, GameReport, Season, formatClock, formatPeriod, systemClock} from "./game-engine.mjs";
+import {RemoteGameModel, ScoreboardConnection} from "./remote-game.mjs";
+
 /**
- * Game Model
- *
- * Only maintains the internal state of the game:
- *    - Game duration and number of quarters
- *    - Score and fouls of the two teams
- *    - Whether game is paused or not (in between quarters and possibly if
- *      a "pause" button is implemented)
- *    - Dispatches end of game and end of quarter events
+ * Game Storage
  *
- * The Model has no knowledge of the view, it only cares about its own internal state.
+ * Saves the game in progress in the browser localStorage, so that an accidental
+ * page reload does not lose the match. Only one game is saved at a time.
+ * Also remembers the team settings (names, colors and logos) between games, as well
+ * as the audio settings, the season and the theme of the page.
  */
-class GameModel {
+class GameStorage {
 
     /**
-     * Set of events that can be fired off by the Model
-     * It is for documentation purposes only, not used in code (although it realy
-     * should be...)
-     * @type {Set<any>}
+     * localStorage key under which the game is saved
+     * @type {string}
      */
-    static supportedEvents = new Set(
-        [
-            "gameStarted",
-            "quarterStarted",
-            "gamePaused",
-            "gameUnpaused",
-            "quarterEnded",
-            "gameEnded"
-        ]
-    );
+    static storageKey = "scoreboard.savedGame";
 
     /**
-     * Constructor:
-     *
-     * Initializes the game: sets scores and fouls to 0, sets duration and number of
-     * quarters, sets game paused, provides an events subscribers registry, and dispatches
-     * the events:
-     *    - gameStarted
-     *    - quarterStarted
-     *    - gamePaused
-     *    - gameUnpaused
-     *    - quarterEnded
-     *    - gameEnded
-     *
-     * @param nrQuarters
-     * @param secondsPerQuarter
-     * @param secondsPerInterQuarter
+     * localStorage key under which the team settings are saved
+     * @type {string}
+     */
+    static teamsKey = "scoreboard.teamSettings";
+
+    /**
+     * localStorage key under which the audio settings are saved
+     * @type {string}
+     */
+    static audioKey = "scoreboard.audioSettings";
+
+    /**
+     * localStorage key under which the season (teams, fixtures and results) is saved
+     * @type {string}
+     */
+    static seasonKey = "scoreboard.season";
+
+    /**
+     * localStorage key under which the theme (high-contrast, large-type) is saved
+     * @type {string}
+     */
+    static themeKey = "scoreboard.theme";
+
+    /**
+     * localStorage key under which the keyboard shortcuts chosen by the user are saved
+     * @type {string}
      */
-    constructor(
-        {quarters: nrQuarters, quarterDuration: secondsPerQuarter, timeOut: secondsPerInterQuarter}
-    ) {
-        this.subscribers = {};
-        this.nrQuarters = nrQuarters;
-        this.timePerQuarter = secondsPerQuarter;
-        this.secondsPerInterQuarter = secondsPerInterQuarter;
+    static keyMapKey = "scoreboard.keyMap";
+
+    /**
+     * Read a value from the localStorage. Storage disabled (private browsing) or
+     * unreadable data are not errors: the app simply starts afresh.
+     * @param key       localStorage key
+     * @param fallback  Value returned if nothing (valid) is saved under the key
+     * @returns {*}     Saved value, or the fallback
+     */
+    static #load(key, fallback = null) {
+        try {
+            const saved = localStorage.getItem(key);
+            return saved ? JSON.parse(saved) : fallback;
+        } catch (error) {
+            return fallback;
+        }
     }
 
     /**
-     * Initialize internal state variables, dispatch the gameStarted event that the controller
-     * should subscribe to, and start the first quarter of the game with a slight delay
+     * Write a value to the localStorage, or remove the key if the value is null.
+     * Storage full or disabled: the value simply isn't saved.
+     * @param key     localStorage key
+     * @param value   Value to save, serialized as JSON, or null to remove the key
      */
-    startGame() {
-        this.initGame();
-        this.dispatchEvent(new Event('gameStarted'));
-        setTimeout(() => {
-            this.newQuarter();
-        }, 1000);
+    static #save(key, value) {
+        try {
+            if (value === null) {
+                localStorage.removeItem(key);
+            } else {
+                localStorage.setItem(key, JSON.stringify(value));
+            }
+        } catch (error) {
+            // Nothing to do, see above
+        }
     }
 
     /**
-     * Initialize internal state variables
+     * Save a game state snapshot, along with the time it was saved
+     * @param state   Game state, as returned by GameModel.getState()
      */
-    initGame() {
-        this.quarter = 0;
-        this.timer = 0;
-        this.gamePaused = true;
-        this.gameOver = false;
-        this.homeScore = 0;
-        this.guestScore = 0;
-        this.homeFouls = 0;
-        this.guestFouls = 0;
+    static save(state) {
+        GameStorage.#save(GameStorage.storageKey, {...state, savedAt: Date.now()});
     }
 
     /**
-     * Registers event listeners for the various events
-     * In practice, there is only one subscriber, the controller
-     *
-     * @param event     Event name: gameOver or endQuarter
-     * @param callback  Listener event handlers
+     * Get the saved game, if any
+     * @returns {Object|null}   Game state snapshot, or null if there is no (valid) saved game
      */
-    registerEventCallback(event, callback) {
-        if (!(event in this.subscribers)) {
-            this.subscribers[event] = [];
-        }
-        this.subscribers[event].push(callback);
+    static load() {
+        return GameStorage.#load(GameStorage.storageKey);
     }
 
-    clearEventRegistry() {
-        this.subscribers = {};
+    /**
+     * Discard the saved game
+     */
+    static clear() {
+        GameStorage.#save(GameStorage.storageKey, null);
     }
+
     /**
-     * Fire events to inform the controller that some internal state has changed,
-     * warranting an action on the part of the controller
-     *
-     * @param event     Event name
-     * @param eventData Optional data that will be sent along with the event
+     * Save the team settings
+     * @param teams   Object with the home and guest team settings (name, color, logo)
      */
-    dispatchEvent(event, eventData) {
-        if (event.type in this.subscribers) {
-            this.subscribers[event.type].forEach(callback => {
-                callback(event, eventData);
-            });
-        }
+    static saveTeams(teams) {
+        GameStorage.#save(GameStorage.teamsKey, teams);
     }
 
     /**
-     * Keeps track of the scores
-     *
-     * @param team    Either "home" or "guest"
-     * @param points  Number of points to add to the score
-     * @returns {*}   New score
+     * Get the saved team settings, if any
+     * @returns {Object|null}   Team settings, or null if none were saved
      */
-    updateScore(team, points) {
-        let whichScore = `${team}Score`;
-        this[whichScore] += points;
-        return this[whichScore];
+    static loadTeams() {
+        return GameStorage.#load(GameStorage.teamsKey);
     }
 
     /**
-     * Keeps track of the fouls of each team
-     *
-     * Remark: not implemented at this stage
-     *
-     * @param team    Either "home" or "guest"
-     * @returns {*}   New number of fouls
+     * Save the audio settings
+     * @param settings    Audio settings (mute, cues and warning time)
      */
-    updateFouls(team) {
-        let currentFouls = this[`${team}Fouls`];
-        currentFouls++;
-        return currentFouls;
+    static saveAudio(settings) {
+        GameStorage.#save(GameStorage.audioKey, settings);
     }
 
     /**
-     * Start a new quarter:
-     *    - Unpause the game, to allow user to use the increment score buttons again
-     *    - Reset the clock to start the timer for a new quarter
-     *    - Dispacth the quarterStarted event so the controller knows what to do
+     * Get the saved audio settings, if any
+     * @returns {Object|null}   Audio settings, or null if none were saved
      */
-    newQuarter() {
-        this.unPauseGame();
-        this.quarter++;
-        if (this.quarter > this.nrQuarters) {
-            this.endGame();
-            return;
-        }
-        this.timer = this.timePerQuarter;
-        this.dispatchEvent(new Event('quarterStarted'), {
-            quarter: this.quarter,
-            duration: this.timePerQuarter
-        });
+    static loadAudio() {
+        return GameStorage.#load(GameStorage.audioKey);
     }
 
     /**
-     * Decrement timer.
-     * If timer gets to zero:
-     *    - End the quarter if there are still more quarters to follow
-     *    - End the game if we are at the end of the last quarter of the game
-     * @returns {number|*}  Current timer value
+     * Save the season
+     * @param season    Season snapshot, as returned by Season.getState()
      */
-    updateTimer() {
-        this.timer -= 1;
-        if (this.timer <= 0) {
-            if (this.quarter < this.nrQuarters) {
-                this.endQuarter();
-            } else {
-                this.endGame();
-            }
-        }
-        return this.timer;
+    static saveSeason(season) {
+        GameStorage.#save(GameStorage.seasonKey, season);
     }
 
     /**
-     * Ends a quater of the game:
-     *      - Pause the game to prevent users from incrementing scores in between
-     *        quarters
-     *      - Fire off the quarterEnded event
-     *
+     * Get the saved season, if any
+     * @returns {Object|null}   Season snapshot, or null if none was saved
      */
-    endQuarter() {
-        this.pauseGame();
-        this.dispatchEvent(new Event('quarterEnded'), {
-            pauseDuration: this.secondsPerInterQuarter
-        });
+    static loadSeason() {
+        return GameStorage.#load(GameStorage.seasonKey);
     }
 
     /**
-     * Pausing the game has the effect of preventing user from incrementing
-     * scores
+     * Discard the season
      */
-    pauseGame() {
-        this.gamePaused = true;
+    static clearSeason() {
+        GameStorage.#save(GameStorage.seasonKey, null);
     }
 
     /**
-     * Unpausing the game reinstated the possibility to increment scores
-     *
+     * Save the theme
+     * @param theme   Theme settings ({highContrast})
+     */
+    static saveTheme(theme) {
+        GameStorage.#save(GameStorage.themeKey, theme);
+    }
+
+    /**
+     * Get the saved theme, if any
+     * @returns {Object|null}   Theme settings, or null if none were saved
+     */
+    static loadTheme() {
+        return GameStorage.#load(GameStorage.themeKey);
+    }
+
+    /**
+     * Save the keyboard shortcuts chosen by the user
+     * @param keys    Key of each action, by target button id (e.g. {"home-1": "q",...})
+     */
+    static saveKeyMap(keys) {
+        GameStorage.#save(GameStorage.keyMapKey, keys);
+    }
+
+    /**
+     * Get the keyboard shortcuts chosen by the user, if any
+     * @returns {Object|null}   Key of each action, by target button id, or null if the
+     *                          default shortcuts are used
+     */
+    static loadKeyMap() {
+        return GameStorage.#load(GameStorage.keyMapKey);
+    }
+
+    /**
+     * Go back to the default keyboard shortcuts
      */
-    unPauseGame() {
-        this.gamePaused = false;
+    static clearKeyMap() {
+        GameStorage.#save(GameStorage.keyMapKey, null);
     }
 
+}
+
+/**
+ * Game Audio
+ *
+ * Buzzer, horn and beep cues generated with the Web Audio API (no sound files). The
+ * controller plays them when the Model fires the matching events. Each cue can be
+ * turned off, and all of them can be muted at once.
+ * Browsers only let a page make sounds after a user gesture: unlock() must be called
+ * from a click (e.g. the New Game button) before the first cue.
+ */
+class GameAudio {
+
+    /**
+     * Cues, as a sequence of tones: frequency (Hz), duration and start time (seconds
+     * after the cue starts), and oscillator wave type
+     * @type {Object<string, {label: string, tones: Array<{frequency: number, start: number,
+     *                        duration: number, type: string}>}>}
+     */
+    static cues = {
+        periodEnd: {
+            label: "Horn at the end of a period",
+            tones: [{frequency: 220, start: 0, duration: 1.5, type: "sawtooth"}],
+        },
+        gameEnd: {
+            label: "Horn at the end of the game",
+            tones: [
+                {frequency: 220, start: 0, duration: 1, type: "sawtooth"},
+                {frequency: 220, start: 1.2, duration: 2, type: "sawtooth"},
+            ],
+        },
+        breakEnd: {
+            label: "Buzzer at the end of a break",
+            tones: [
+                {frequency: 330, start: 0, duration: 0.4, type: "square"},
+                {frequency: 330, start: 0.6, duration: 0.4, type: "square"},
+            ],
+        },
+        shotClockViolation: {
+            label: "Buzzer on shot clock violations",
+            tones: [{frequency: 165, start: 0, duration: 0.8, type: "square"}],
+        },
+        warning: {
+            label: "Warning beep before the end of a period",
+            tones: [
+                {frequency: 880, start: 0, duration: 0.15, type: "sine"},
+                {frequency: 880, start: 0.25, duration: 0.15, type: "sine"},
+            ],
+        },
+    };
+
     /**
-     * Is the game paused or not
-     * @returns {boolean|*}
+     * Settings used until the user sets (and saves) their own
+     * @type {{muted: boolean, cues: Object<string, boolean>, warningSeconds: number}}
      */
-    isPaused() {
-        return this.gamePaused;
+    static defaultSettings = {
+        muted: false,
+        cues: {periodEnd: true, gameEnd: true, breakEnd: true, shotClockViolation: true, warning: true},
+        warningSeconds: 10,
+    };
+
+    /**
+     * @param settings    Audio settings: mute, cues turned on, and how many seconds
+     *                    before the end of a period the warning beep is played
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.context = null;
     }
 
     /**
-     * Is the game over
-     * @returns {boolean|*}
+     * Create the audio context, or resume it if the browser suspended it. Must be
+     * called from a user gesture.
      */
-    isOver() {
-        return this.gameOver;
+    unlock() {
+        const AudioContextClass = globalThis.AudioContext || globalThis.webkitAudioContext;
+        if (!AudioContextClass) {
+            return;
+        }
+        if (!this.context) {
+            this.context = new AudioContextClass();
+        }
+        if (this.context.state === "suspended") {
+            this.context.resume();
+        }
     }
 
     /**
-     * End the game:
-     *      - Determine the winner, if any
-     *      - Fire off the gameEnded event
+     * Play a cue, unless it is turned off, the sound is muted, or audio is not
+     * available (yet)
+     * @param cue   Cue name, one of GameAudio.cues
      */
-    endGame() {
-        this.gameOver = true;
-        const winner =
-            this.homeScore > this.guestScore
-                ? "home"
-                : this.guestScore > this.homeScore ? "guest" : "";
-        if ("gameEnded" in this.subscribers) {
-            this.dispatchEvent(new Event('gameEnded'), {winner: winner});
+    play(cue) {
+        if (!this.context || this.settings.muted || !this.settings.cues[cue]) {
+            return;
         }
+        const now = this.context.currentTime;
+        GameAudio.cues[cue].tones.forEach((tone) => {
+            const oscillator = this.context.createOscillator();
+            const gain = this.context.createGain();
+            oscillator.type = tone.type;
+            oscillator.frequency.value = tone.frequency;
+            // Short attack and release, so that tones do not click
+            const start = now + tone.start;
+            const end = start + tone.duration;
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(0.3, start + 0.02);
+            gain.gain.setValueAtTime(0.3, end - 0.05);
+            gain.gain.linearRampToValueAtTime(0, end);
+            oscillator.connect(gain).connect(this.context.destination);
+            oscillator.start(start);
+            oscillator.stop(end);
+        });
     }
 
 }
@@ -304,29 +377,435 @@ class GameModel {
  * about those changes.
  *
  */
-class GameController {
+export class GameController {
 
     /**
-     * Sets internal state to initial values, AND registers listeners for buttong
+     * Default keyboard map for the scorer's table: each key "presses" the button with
+     * the given id, so that shortcuts go through exactly the same checks (game paused,
+     * game over,...) as mouse clicks.
+     * Keys are compared in lower case, " " being the space bar.
+     * @type {Array<{key: string, target: string, description: string}>}
      */
-    constructor() {
+    static defaultKeyMap = [
+        {key: "q", target: "home-1", description: "Home +1"},
+        {key: "w", target: "home-2", description: "Home +2"},
+        {key: "e", target: "home-3", description: "Home +3"},
+        {key: "i", target: "guest-1", description: "Guest +1"},
+        {key: "o", target: "guest-2", description: "Guest +2"},
+        {key: "p", target: "guest-3", description: "Guest +3"},
+        {key: "a", target: "home-foul", description: "Home foul"},
+        {key: "l", target: "guest-foul", description: "Guest foul"},
+        {key: "z", target: "home-timeout", description: "Home timeout"},
+        {key: "m", target: "guest-timeout", description: "Guest timeout"},
+        {key: " ", target: "toggle-clock", description: "Stop/restart the clock"},
+        {key: "s", target: "shot-clock-full", description: "Reset the shot clock"},
+        {key: "d", target: "shot-clock-offensive", description: "Reset the shot clock (offensive rebound)"},
+        {key: "j", target: "jump-ball", description: "Held ball (jump ball)"},
+        {key: "u", target: "undo", description: "Undo"},
+        {key: "r", target: "redo", description: "Redo"},
+    ];
+
+    /**
+     * Team settings used until the user sets (and saves) their own
+     * @type {{home: {name: string, color: string, logo: string, roster: Array},
+     *         guest: {name: string, color: string, logo: string, roster: Array}}}
+     */
+    static defaultTeamSettings = {
+        home: {name: "Home", color: "#f94f6d", logo: "", roster: []},
+        guest: {name: "Guest", color: "#f94f6d", logo: "", roster: []},
+    };
+
+    /**
+     * Logos are scaled down to fit in a square of that many pixels before being
+     * saved, so that they do not fill the localStorage up
+     * @type {number}
+     */
+    static logoSize = 128;
+
+    /**
+     * Named rule sets offered in the game settings. Picking one fills all the game
+     * specification inputs in, which can still be changed afterwards ("Custom").
+     * Durations are in seconds. Regular quarters are 2 halves when quarters is 2.
+     * @type {Object<string, {label: string, specs: Object}>}
+     */
+    static gamePresets = {
+        fiba: {
+            label: "FIBA (4 x 10 min)",
+            specs: {
+                quarters: 4, quarterDuration: 600, timeOut: 120, halftime: 900,
+                foulPeriod: "quarter", bonusThreshold: 5, foulLimit: 5,
+                overtime: true, overtimeDuration: 300, shotClock: 24, shotClockOffensive: 14,
+                teamTimeouts: 2, teamTimeoutPeriod: "half", teamTimeoutDuration: 60,
+                possessionRule: "period", mode: "standard",
+            },
+        },
+        nba: {
+            label: "NBA (4 x 12 min)",
+            specs: {
+                quarters: 4, quarterDuration: 720, timeOut: 130, halftime: 900,
+                foulPeriod: "quarter", bonusThreshold: 5, foulLimit: 6,
+                overtime: true, overtimeDuration: 300, shotClock: 24, shotClockOffensive: 14,
+                teamTimeouts: 7, teamTimeoutPeriod: "game", teamTimeoutDuration: 75,
+                possessionRule: "none", mode: "standard",
+            },
+        },
+        ncaa: {
+            label: "NCAA (2 x 20 min halves)",
+            specs: {
+                quarters: 2, quarterDuration: 1200, timeOut: 900, halftime: 900,
+                foulPeriod: "half", bonusThreshold: 7, foulLimit: 5,
+                overtime: true, overtimeDuration: 300, shotClock: 30, shotClockOffensive: 20,
+                teamTimeouts: 4, teamTimeoutPeriod: "game", teamTimeoutDuration: 75,
+                possessionRule: "half", mode: "standard",
+            },
+        },
+        "3x3": {
+            label: "3x3 (1 x 10 min, game to 21)",
+            specs: {
+                quarters: 1, quarterDuration: 600, timeOut: 60, halftime: 60,
+                foulPeriod: "quarter", bonusThreshold: 7, foulLimit: 0,
+                overtime: true, overtimeDuration: 60, shotClock: 12, shotClockOffensive: 12,
+                teamTimeouts: 1, teamTimeoutPeriod: "game", teamTimeoutDuration: 30,
+                possessionRule: "none", mode: "3x3",
+            },
+        },
+        youth: {
+            label: "Youth (4 x 8 min)",
+            specs: {
+                quarters: 4, quarterDuration: 480, timeOut: 60, halftime: 300,
+                foulPeriod: "quarter", bonusThreshold: 5, foulLimit: 5,
+                overtime: true, overtimeDuration: 180, shotClock: 24, shotClockOffensive: 14,
+                teamTimeouts: 2, teamTimeoutPeriod: "half", teamTimeoutDuration: 60,
+                possessionRule: "period", mode: "standard",
+            },
+        },
+    };
+
+    /**
+     * Name of the BroadcastChannel used to keep the audience display (scoreboard-display.html)
+     * in sync with the scorer's table
+     * @type {string}
+     */
+    static displayChannelName = "scoreboard.display";
+
+    /**
+     * Delay before the scores are announced to screen readers, in ms: baskets recorded
+     * (or undone) in quick succession make a single announcement, with the last scores
+     * @type {number}
+     */
+    static scoreAnnouncementDelay = 2000;
+
+    /**
+     * Sets internal state to initial values. Nothing is read from the page, or
+     * registered on it, before attach() is called: the controller can be driven
+     * without the DOM, e.g. by the tests, with a View of their own.
+     *
+     * @param keyMap      Default keyboard shortcuts, defaults to GameController.defaultKeyMap.
+     *                    The keys chosen by the user, if saved, take precedence.
+     * @param clock       Clock and timers, shared with the Model, defaults to systemClock
+     * @param createView  Creates the View of each game, defaults to a GameView of the page
+     */
+    constructor(keyMap = GameController.defaultKeyMap, clock = systemClock, createView = () => new GameView()) {
+        const savedKeys = GameStorage.loadKeyMap() || {};
+        this.defaultKeyMap = keyMap;
+        this.keyMap = keyMap.map((binding) => ({...binding, key: savedKeys[binding.target] ?? binding.key}));
+        this.rebinding = null;
+        this.clock = clock;
+        this.createView = createView;
+        this.remote = null;
         this.quarters = 0;
         this.quarterDuration = 0;
         this.timeOut = 0;
         this.timerInterval = null
+        this.lastTick = 0;
+        this.pauseInterval = null;
+        this.teamTimeoutInterval = null;
+        this.reviewedReport = null;
+        this.replay = null;
+        this.replayInterval = null;
+        this.replayPosition = 0;
+        this.lastReplayTick = 0;
+        this.scoreAnnouncementTimeout = null;
+        this.gameCreatedCallbacks = [];
+        this.season = new Season(GameStorage.loadSeason() || {});
+        // Fixture whose result was recorded when the game ended, until a new game is created
+        this.endedFixtureId = null;
+        this.displayChannel = null;
+        const savedAudio = GameStorage.loadAudio() || {};
+        this.audio = new GameAudio({
+            ...structuredClone(GameAudio.defaultSettings),
+            ...savedAudio,
+            cues: {...GameAudio.defaultSettings.cues, ...savedAudio.cues},
+        });
+        const savedTeams = GameStorage.loadTeams() || {};
+        this.teamSettings = {};
+        ["home", "guest"].forEach((team) => {
+            this.teamSettings[team] = {
+                ...structuredClone(GameController.defaultTeamSettings[team]),
+                ...savedTeams[team],
+            };
+        });
+        this.view = this.createView();
+        this.view.setShortcuts(this.keyMap);
+        this.view.setPresets(GameController.gamePresets);
+        this.view.setAudioSettings(this.audio.settings);
+        this.theme = {highContrast: false, ...GameStorage.loadTheme()};
+        this.view.setTheme(this.theme);
+        this.view.setSeason(this.season);
+        this.view.setTeams(this.teamSettings);
+    }
+
+    /**
+     * Fills the user inputs in, AND registers listeners for buttong, then offers to
+     * resume the game saved before the page was (re)loaded, if any, or, when the page
+     * is a client of the scoreboard server, connects to the server
+     */
+    attach() {
+        this.displayChannel = typeof BroadcastChannel === "function"
+            ? new BroadcastChannel(GameController.displayChannelName)
+            : null;
+        document.getElementById("game-preset").value = this.findPreset(this.getGameSpecs());
+        this.setTeamSettings(this.teamSettings);
         this.registerListeners();
+        this.remote = this.connectToServer();
+        if (this.remote) {
+            this.clock = this.remote.clock;
+        } else {
+            this.offerSavedGame();
+        }
+    }
+
+    /**
+     * When the page is opened with ?remote=controller (or ?remote=display), the game
+     * is hosted by the scoreboard server (server/scoreboard-server.mjs) and shared with
+     * the other pages connected to it. The server is the one that served the page,
+     * unless another one is given with ?server=ws://address:port/ws.
+     * A display page is read-only: its controls are hidden, and it sends no actions.
+     * @returns {ScoreboardConnection|null}   Connection to the server, or null for a
+     *                                        game played in this page only
+     */
+    connectToServer() {
+        const params = new URLSearchParams(window.location.search);
+        const role = params.get("remote");
+        if (role !== "controller" && role !== "display") {
+            return null;
+        }
+        const url = params.get("server") ||
+            `${window.location.protocol === "https:" ? "wss" : "ws"}://${window.location.host}/ws`;
+        document.body.classList.add("remote", `remote-${role}`);
+        this.view.setRemoteStatus(false);
+        return new ScoreboardConnection(url, role, {
+            game: this.resumeGame.bind(this),
+            event: this.remoteEventHandler.bind(this),
+            teams: this.remoteTeamsHandler.bind(this),
+            rejected: this.remoteRejectedHandler.bind(this),
+            status: (connected) => this.view.setRemoteStatus(connected),
+        });
     }
 
     /**
      * Implements listeners for the New Game button, and the increment score buttons
      */
     registerListeners() {
+        // Game presets, and the game specification inputs (any change makes it a custom game)
+        document.getElementById("game-preset").addEventListener("change", this.applyPreset.bind(this));
+        document.querySelectorAll("#game-specs input, #game-specs select:not(#game-preset)").forEach((inputEl) => {
+            inputEl.addEventListener("change", () => {
+                document.getElementById("game-preset").value = this.findPreset(this.getGameSpecs());
+            });
+        });
         // Buttons to increment score
         document.querySelectorAll(".inc-score button").forEach((buttonEl) => {
             buttonEl.addEventListener("click", this.incrementScore.bind(this));
         });
+        // Buttons to record a foul
+        document.querySelectorAll(".add-foul button").forEach((buttonEl) => {
+            buttonEl.addEventListener("click", this.addFoul.bind(this));
+        });
+        // Buttons to call a team timeout
+        document.querySelectorAll(".call-timeout").forEach((buttonEl) => {
+            buttonEl.addEventListener("click", this.callTimeout.bind(this));
+        });
+        // Possession arrow: buttons to set it after the opening tip, and to record a held ball
+        document.querySelectorAll(".set-possession").forEach((buttonEl) => {
+            buttonEl.addEventListener("click", this.setPossessionArrow.bind(this));
+        });
+        document.getElementById("jump-ball").addEventListener("click", this.recordJumpBall.bind(this));
+        // Buttons to undo/redo the last actions
+        document.getElementById("undo").addEventListener("click", this.undo.bind(this));
+        document.getElementById("redo").addEventListener("click", this.redo.bind(this));
         // Button to start game
-        document.getElementById("new-game").addEventListener("click", this.startGame.bind(this));
+        document.getElementById("new-game").addEventListener("click", () => this.startGame());
+        // Buttons to resume or discard the saved game
+        document.getElementById("resume-game").addEventListener("click", this.resumeSavedGame.bind(this));
+        document.getElementById("discard-game").addEventListener("click", this.discardSavedGame.bind(this));
+        // Buttons to reset the shot clock
+        document.querySelectorAll(".reset-shot-clock").forEach((buttonEl) => {
+            buttonEl.addEventListener("click", this.resetShotClock.bind(this));
+        });
+        // Button to stop/restart the game clock, and buttons to correct the clock
+        document.getElementById("toggle-clock").addEventListener("click", this.toggleClock.bind(this));
+        document.querySelectorAll(".adjust-clock").forEach((buttonEl) => {
+            buttonEl.addEventListener("click", this.adjustClock.bind(this));
+        });
+        // Team settings: name, color and logo
+        ["home", "guest"].forEach((team) => {
+            document.getElementById(`${team}-name`).addEventListener("change", this.updateTeamSettings.bind(this));
+            document.getElementById(`${team}-color`).addEventListener("input", this.updateTeamSettings.bind(this));
+            document.getElementById(`${team}-logo-file`).addEventListener("change", this.loadLogo.bind(this));
+            document.getElementById(`${team}-logo-clear`).addEventListener("click", this.clearLogo.bind(this));
+            document.getElementById(`${team}-roster`).addEventListener("change", this.updateRoster.bind(this));
+        });
+        // Buttons to export the finished game, and file input to import one
+        document.querySelectorAll(".export-game").forEach((buttonEl) => {
+            buttonEl.addEventListener("click", this.exportGame.bind(this));
+        });
+        document.getElementById("import-game").addEventListener("change", this.importGame.bind(this));
+        // Replay of the finished game: timeline slider, and play/pause button
+        document.getElementById("replay-slider").addEventListener("input", this.seekReplay.bind(this));
+        document.getElementById("replay-play").addEventListener("click", this.toggleReplay.bind(this));
+        document.getElementById("replay-markers").addEventListener("click", this.seekReplayMarker.bind(this));
+        // Season: teams, fixtures (played from their row) and standings
+        document.getElementById("toggle-season").addEventListener("click", () => {
+            this.view.toggleSeason();
+        });
+        document.getElementById("season-add-team").addEventListener("click", this.addSeasonTeam.bind(this));
+        document.getElementById("season-add-fixture").addEventListener("click", this.addSeasonFixture.bind(this));
+        document.getElementById("season-fixtures").addEventListener("click", this.seasonFixtureAction.bind(this));
+        document.getElementById("season-clear").addEventListener("click", this.clearSeason.bind(this));
+        // Button to show/hide the box score
+        document.getElementById("toggle-box-score").addEventListener("click", () => {
+            this.view.toggleBoxScore();
+        });
+        // Keyboard shortcuts, and the button showing their help overlay
+        document.addEventListener("keydown", this.handleShortcut.bind(this));
+        document.getElementById("show-shortcuts").addEventListener("click", this.toggleShortcutsHelp.bind(this));
+        document.getElementById("shortcuts-list").addEventListener("click", this.rebindShortcut.bind(this));
+        document.getElementById("reset-shortcuts").addEventListener("click", this.resetShortcuts.bind(this));
+        // Audio settings: cues turned on, warning time, and mute button
+        document.querySelectorAll(".audio-cue").forEach((inputEl) => {
+            inputEl.addEventListener("change", this.updateAudioSettings.bind(this));
+        });
+        document.getElementById("audio-warning-seconds").addEventListener("change", this.updateAudioSettings.bind(this));
+        document.getElementById("mute-audio").addEventListener("click", this.toggleMute.bind(this));
+        // High-contrast, large-type theme
+        document.getElementById("toggle-contrast").addEventListener("click", this.toggleHighContrast.bind(this));
+        // Audience display: button to open it, and requests of a (re)opened display
+        document.getElementById("open-display").addEventListener("click", this.openDisplay.bind(this));
+        if (this.displayChannel) {
+            this.displayChannel.addEventListener("message", this.displayRequestHandler.bind(this));
+        }
+    }
+
+    /**
+     * Listener for the keyboard shortcuts: "press" the button the key is bound to.
+     * Shortcuts are disabled while typing in a text or number input (or the rosters),
+     * and keys combined with Ctrl, Alt or Meta are left to the browser.
+     * "?" shows/hides the help overlay listing the bindings, Escape hides it. While a
+     * shortcut is being changed, the key pressed is its new key instead.
+     * @param event Keyboard event
+     */
+    handleShortcut(event) {
+        if (event.ctrlKey || event.altKey || event.metaKey) {
+            return;
+        }
+        if (this.remote && this.remote.isReadOnly()) {
+            return;
+        }
+        if (this.rebinding) {
+            this.assignShortcut(event);
+            return;
+        }
+        // Typing in a text field is not a shortcut, but a key pressed after picking an
+        // option in a select (e.g. the player who scored) is
+        if (event.target.closest && event.target.closest("textarea, input[type=text], input[type=number]")) {
+            return;
+        }
+        if (event.key === "?") {
+            this.toggleShortcutsHelp();
+            return;
+        }
+        if (event.key === "Escape") {
+            this.view.hideShortcutsHelp();
+            return;
+        }
+        const binding = this.keyMap.find((binding) => binding.key === event.key.toLowerCase());
+        if (!binding) {
+            return;
+        }
+        event.preventDefault();
+        // A button that was clicked keeps the focus: leave it, so that the space bar
+        // does not "click" it as well
+        if (document.activeElement && document.activeElement.tagName === "BUTTON") {
+            document.activeElement.blur();
+        }
+        document.getElementById(binding.target).click();
+    }
+
+    /**
+     * Listener for the "?" button (and key): show or hide the keyboard shortcuts help.
+     * A shortcut waiting for its new key is left unchanged.
+     */
+    toggleShortcutsHelp() {
+        if (this.rebinding) {
+            this.rebinding = null;
+            this.view.setShortcuts(this.keyMap);
+        }
+        this.view.toggleShortcutsHelp();
+    }
+
+    /**
+     * Listener for the Change buttons of the keyboard shortcuts help: the next key
+     * pressed becomes the shortcut of the action
+     * @param event The event.target is within the button that was pressed, whose
+     *              data-target is the id of the button triggered by the shortcut
+     */
+    rebindShortcut(event) {
+        const buttonEl = event.target.closest("button");
+        if (!buttonEl) {
+            return;
+        }
+        this.rebinding = buttonEl.dataset.target;
+        this.view.setShortcuts(this.keyMap, this.rebinding);
+    }
+
+    /**
+     * Give the action waiting for its new key the key that was pressed, and save the
+     * shortcuts. A key already used by another action is swapped with the previous
+     * key of the action, and Esc leaves the shortcut unchanged.
+     * @param event The keydown event
+     */
+    assignShortcut(event) {
+        event.preventDefault();
+        const binding = this.keyMap.find((binding) => binding.target === this.rebinding);
+        this.rebinding = null;
+        const key = event.key.toLowerCase();
+        if (event.key !== "Escape") {
+            if (key.length !== 1 || key === "?") {
+                this.view.setError("A shortcut must be a single character key, other than ?!");
+            } else {
+                const previousBinding = this.keyMap.find((other) => other.key === key);
+                if (previousBinding) {
+                    previousBinding.key = binding.key;
+                }
+                binding.key = key;
+                GameStorage.saveKeyMap(
+                    Object.fromEntries(this.keyMap.map((entry) => [entry.target, entry.key]))
+                );
+                this.view.resetError();
+            }
+        }
+        this.view.setShortcuts(this.keyMap);
+    }
+
+    /**
+     * Listener for the button restoring the default keyboard shortcuts
+     */
+    resetShortcuts() {
+        this.rebinding = null;
+        this.keyMap = this.defaultKeyMap.map((binding) => ({...binding}));
+        GameStorage.clearKeyMap();
+        this.view.setShortcuts(this.keyMap);
     }
 
     /**
@@ -340,12 +819,42 @@ class GameController {
         this.model.registerEventCallback(
             "quarterStarted", this.quarterStartedHandler.bind(this)
         );
+        this.model.registerEventCallback(
+            "gamePaused", this.gamePausedHandler.bind(this)
+        );
+        this.model.registerEventCallback(
+            "gameUnpaused", this.gameUnpausedHandler.bind(this)
+        );
+        this.model.registerEventCallback(
+            "foulCommitted", this.foulCommittedHandler.bind(this)
+        );
+        this.model.registerEventCallback(
+            "playLogUpdated", this.playLogUpdatedHandler.bind(this)
+        );
+        this.model.registerEventCallback(
+            "shotClockViolation", this.shotClockViolationHandler.bind(this)
+        );
+        this.model.registerEventCallback(
+            "timeoutCalled", this.timeoutCalledHandler.bind(this)
+        );
+        this.model.registerEventCallback(
+            "timeoutEnded", this.timeoutEndedHandler.bind(this)
+        );
         this.model.registerEventCallback(
             "quarterEnded", this.quarterEndedHandler.bind(this)
         );
         this.model.registerEventCallback(
             "gameEnded", this.gameEndedHandler.bind(this)
         );
+        this.model.registerEventCallback(
+            "gameReopened", this.gameReopenedHandler.bind(this)
+        );
+        this.model.registerEventCallback(
+            "possessionChanged", this.possessionChangedHandler.bind(this)
+        );
+        this.model.registerEventCallback(
+            "stateChanged", this.stateChangedHandler.bind(this)
+        );
     }
 
     /**
@@ -353,6 +862,27 @@ class GameController {
      */
     gameStartedHandler() {
         this.initView();
+        this.view.setShotClockResets(this.model.shotClockDuration, this.model.shotClockOffensiveDuration);
+        this.view.showPossession(this.model.usesPossessionArrow());
+    }
+
+    /**
+     * Callback for the possessionChanged event: point the arrow to the team that gets
+     * the next alternating possession, and tell who was awarded the ball, if anyone
+     * @param event
+     * @param eventData Object with the arrow, the team awarded the ball (null when the
+     *                  arrow is set by the operator) and the reason of the change
+     */
+    possessionChangedHandler(event, eventData) {
+        this.view.setPossessionArrow(eventData.arrow);
+        if (eventData.reason === "jumpBall") {
+            this.view.setPossessionNote(`Jump ball: ${this.teamSettings[eventData.awarded].name} ball`);
+        } else if (eventData.reason === "periodStart") {
+            this.view.setPossessionNote(`${this.teamSettings[eventData.awarded].name} ball to start the period`);
+        } else {
+            this.view.setPossessionNote("");
+        }
+        this.broadcastGame();
     }
 
     /**
@@ -362,12 +892,33 @@ class GameController {
      * @param eventData Object with quarter number and quarter duration
      */
     quarterStartedHandler(event, eventData) {
+        if (eventData.quarter > 1) {
+            this.audio.play("breakEnd");
+        }
         this.view.resetError();
-        this.view.setQuarter(eventData.quarter);
+        this.view.setQuarter(eventData.quarter, eventData.overtime);
         this.view.setClock(eventData.duration);
+        this.view.setShotClock(eventData.shotClock);
+        ["home", "guest"].forEach((team) => {
+            this.view.setFouls(team, eventData.fouls[team]);
+            this.view.setBonus(team, eventData.bonus[team]);
+            this.view.setTimeouts(team, eventData.timeouts[team]);
+        });
+        this.view.setLineScore(eventData.lineScore, eventData.quarter);
+        this.cancelScoreAnnouncement();
+        this.view.announcePeriodStart(eventData.quarter, eventData.overtime);
+        this.startClock();
+        this.model.unPauseGame();
+    }
+
+    /**
+     * Start counting the time of the quarter from wherever the Model timer currently
+     * is (start of a quarter, or clock restarted after a stop)
+     */
+    startClock() {
         /* The timerInterval is the one that will count the time for the quarter
            Remark: the way this is implemented is way more complex than it should
-           really be. Here, every second, the Model is updated, and the new timer
+           really be. Here, every tick, the Model is updated, and the new timer
            value received from the Model is then passed on to the View. In a real
            app, I doubt anyone would do this: the controller would be fully in charge
            of the timer without any Model interaction, and would tell the View about
@@ -377,119 +928,1522 @@ class GameController {
            the callback in the callback queue that could be processed after we expect
            there to be no more calls to the callback, leading to really difficult
            bugs to uncover and solve...
+           The interval ticks every tenth of a second, but the Model is updated with
+           the time actually elapsed since the last tick: setInterval is never on
+           time (and is throttled in background tabs), so counting ticks would make
+           the clock drift.
+           The interval stops once the period is over, rather than when the clock
+           gets to zero: a 3x3 overtime has no game clock, only the shot clock runs.
          */
-        this.timerInterval = setInterval(() => {
-            const newClock = this.model.updateTimer();
-            this.view.setClock(newClock);
-            if (newClock === 0) {
-                clearInterval(this.timerInterval);
+        this.clock.clearInterval(this.timerInterval);
+        this.lastTick = this.clock.elapsed();
+        this.timerInterval = this.clock.setInterval(() => {
+            this.tickClock();
+            if (!this.model.isInPlay()) {
+                this.clock.clearInterval(this.timerInterval);
             }
-        }, 1000);
-        this.model.unPauseGame();
+        }, 100);
     }
 
     /**
-     * A quarter just ended: pause the game for the game timeout duration
-     *
-     * @param event
-     * @param eventData Object with only the pauseDuration
+     * If the clock is running, account for the time elapsed since the last tick,
+     * e.g., right before stopping the clock
      */
-    quarterEndedHandler(event, eventData) {
-        if (eventData.pauseDuration) {
-            let remainingPause = eventData.pauseDuration;
-            this.view.showPause();
-            this.view.setPause(remainingPause);
-            // Pause the game and let the view know oh long the pause
-            // is still lasting
-            let pauseInterval = setInterval(() => {
-                remainingPause--;
-                if (remainingPause === 0) {
-                    // Pause is over, throw the coffee away and get back to work!
-                    clearInterval(pauseInterval);
-                    // Tell the view the pause is over
-                    this.view.removePause();
-                    this.model.newQuarter();
-                } else {
-                    this.view.setPause(remainingPause);
-                }
-            }, 1000);
+    syncClock() {
+        if (this.timerInterval) {
+            this.tickClock();
+        }
+    }
+
+    /**
+     * Update the Model timer with the time elapsed since the last tick, and pass the
+     * new game clock and shot clock values on to the View
+     * @returns {number}  New timer value
+     */
+    tickClock() {
+        const now = this.clock.elapsed();
+        const previousClock = this.model.timer;
+        const newClock = this.model.updateTimer((now - this.lastTick) / 1000);
+        const warningSeconds = this.audio.settings.warningSeconds;
+        if (previousClock > warningSeconds && newClock <= warningSeconds && newClock > 0) {
+            this.audio.play("warning");
         }
+        this.lastTick = now;
+        this.view.setClock(newClock);
+        this.view.setShotClock(this.model.getShotClock());
+        return newClock;
+    }
+
+    /**
+     * Callback for the shotClockViolation event: the shot clock got to zero, tell
+     * the view to signal the violation until the shot clock is reset
+     */
+    shotClockViolationHandler() {
+        this.audio.play("shotClockViolation");
+        this.view.showShotClockViolation();
     }
 
     /**
-     * Game over, tell the view who won
+     * Callback for the timeoutCalled event: update the remaining timeouts of the
+     * team, and count the timeout down
      * @param event
-     * @param eventData Object with the winner team name ("home" or "guest")
+     * @param eventData Object with the team, its remaining timeouts and the duration
+     *                  of the timeout
      */
-    gameEndedHandler(event, eventData) {
-        this.view.setWinner(eventData.winner);
+    timeoutCalledHandler(event, eventData) {
+        this.view.setTimeouts(eventData.team, eventData.remaining);
+        this.startTimeoutCountdown(eventData.team, eventData.duration);
     }
 
     /**
-     * Reset the view to its initial state: scores to 0, fouls to 0,...
+     * Count a team timeout down, the same way as the pause in between quarters, and
+     * tell the Model when it is over
+     * @param team      Team that called the timeout
+     * @param duration  Remaining duration of the timeout, in seconds
      */
-    initView() {
-        this.view.initView();
+    startTimeoutCountdown(team, duration) {
+        const timeoutEndsAt = this.clock.elapsed() + duration * 1000;
+        this.view.showTeamTimeout(team);
+        this.view.setTeamTimeout(Math.ceil(duration));
+        this.teamTimeoutInterval = this.clock.setInterval(() => {
+            const remaining = Math.max(Math.ceil((timeoutEndsAt - this.clock.elapsed()) / 1000), 0);
+            if (remaining === 0) {
+                this.clock.clearInterval(this.teamTimeoutInterval);
+                this.teamTimeoutInterval = null;
+                this.model.endTimeout();
+            } else {
+                this.view.setTeamTimeout(remaining);
+            }
+        }, 100);
     }
 
     /**
-     * Listener for the "New Game" button:
-     *      - Creates a new instance of the Model and the View. In a real app,
-     *        the Model and the View would most likely exist independently from
-     *        the controller, i.e., the controller would receive the Model
-     *        and View instances in the contructor
-     *      - Subscribe to the Model events
-     *      - Tell the Model OK to start game
+     * Callback for the timeoutEnded event (timeout over, or cut short by restarting
+     * the clock): stop the countdown
      */
-    startGame() {
-        if (this.model) {
-            this.model.clearEventRegistry();
-        }
-        this.model = null;
-        this.view = null;
-        clearInterval(this.timerInterval);
-        this.timerInterval = null;
-        this.model = new GameModel(this.getGameSpecs());
-        this.view = new GameView();
-        this.subscribeToModelEvents();
-        this.model.startGame();
+    timeoutEndedHandler() {
+        this.clock.clearInterval(this.teamTimeoutInterval);
+        this.teamTimeoutInterval = null;
+        this.view.removeTeamTimeout();
     }
 
     /**
-     * Increment score by 1, 2 or three points, but only if game is not paused or over
-     * The team whose score is to be increased and by how many points are found
-     * in the event currentTarget: the id of the button pressed by the user is, for instance,
-     * "home-1", meaning, increase the score of the "home" team by 1 point.
-     * @param event The event.currentTarget is the button that was pressed
+     * Callback for the gamePaused event: the officials stopped the clock, so stop
+     * counting the time and tell the view
+     * @param event
+     * @param eventData Object with the frozen timer value
      */
-    incrementScore(event) {
+    gamePausedHandler(event, eventData) {
+        this.clock.clearInterval(this.timerInterval);
+        this.timerInterval = null;
+        this.view.setClock(eventData.timer);
+        this.view.showClockStopped();
+    }
+
+    /**
+     * Callback for the gameUnpaused event: the clock was restarted, resume counting
+     * the time from the (possibly corrected) timer value
+     * @param event
+     * @param eventData Object with the timer value the clock restarts from
+     */
+    gameUnpausedHandler(event, eventData) {
+        this.view.resetError();
+        this.view.removeClockStopped();
+        this.view.setClock(eventData.timer);
+        this.startClock();
+    }
+
+    /**
+     * Callback for the foulCommitted event: update the team fouls, the bonus
+     * indicator and the personal fouls of the player
+     * @param event
+     * @param eventData Object with the team, the player, the team and player fouls,
+     *                  and whether the team is in the bonus or the player fouled out
+     */
+    foulCommittedHandler(event, eventData) {
+        this.view.setFouls(eventData.team, eventData.teamFouls);
+        this.view.setBonus(eventData.team, eventData.bonus);
+        this.view.setPlayerFouls(
+            eventData.team, eventData.player, eventData.playerFouls, eventData.fouledOut
+        );
+    }
+
+    /**
+     * Callback for the playLogUpdated event: refresh the play-by-play panel, and,
+     * since an undo/redo may have changed them, the scores and fouls of both teams
+     * @param event
+     * @param eventData Object with the change, the entry concerned, the full log, the
+     *                  undo/redo availability and the current scores and fouls
+     */
+    playLogUpdatedHandler(event, eventData) {
+        this.view.setPlayLog(eventData.log);
+        this.view.setBoxScore(eventData.boxScore);
+        this.view.setLineScore(eventData.lineScore, this.model.quarter);
+        this.view.setUndoRedo(eventData.canUndo, eventData.canRedo);
+        if (eventData.entry.action === "score") {
+            this.announceScores();
+        }
+        if (eventData.change === "record") {
+            return;
+        }
+        ["home", "guest"].forEach((team) => {
+            this.view.setScore(team, eventData.scores[team]);
+            this.view.setFouls(team, eventData.fouls[team]);
+            this.view.setBonus(team, eventData.bonus[team]);
+        });
+        const entry = eventData.entry;
+        if (entry.action === "foul") {
+            if (eventData.playerFouls > 0) {
+                this.view.setPlayerFouls(
+                    entry.team, entry.player, eventData.playerFouls, eventData.fouledOut
+                );
+            } else {
+                this.view.resetPlayerFouls(entry.team);
+            }
+        }
+    }
+
+    /**
+     * A quarter just ended: sound the horn, and pause the game for the game timeout
+     * duration
+     *
+     * @param event     null when a game saved in between quarters is resumed (no horn then)
+     * @param eventData Object with only the pauseDuration
+     */
+    quarterEndedHandler(event, eventData) {
+        if (event) {
+            this.audio.play("periodEnd");
+            this.cancelScoreAnnouncement();
+            this.view.announcePeriodEnd(
+                this.model.quarter, this.model.getOvertime(), this.model.getScoreboard().scores
+            );
+        }
+        if (eventData.pauseDuration) {
+            // Same as the game clock: the remaining pause is computed from the time
+            // actually elapsed, not from the number of ticks
+            const pauseEndsAt = this.clock.elapsed() + eventData.pauseDuration * 1000;
+            let remainingPause = Math.ceil(eventData.pauseDuration);
+            this.view.showPause();
+            this.view.setPause(remainingPause);
+            // Pause the game and let the view know oh long the pause
+            // is still lasting
+            this.pauseInterval = this.clock.setInterval(() => {
+                remainingPause = Math.max(Math.ceil((pauseEndsAt - this.clock.elapsed()) / 1000), 0);
+                if (remainingPause === 0) {
+                    // Pause is over, throw the coffee away and get back to work!
+                    this.clock.clearInterval(this.pauseInterval);
+                    this.pauseInterval = null;
+                    // Tell the view the pause is over
+                    this.view.removePause();
+                    this.model.newQuarter();
+                } else {
+                    this.view.setPause(remainingPause);
+                }
+            }, 100);
+        }
+    }
+
+    /**
+     * Callback for the stateChanged event: save the game, so that it can be resumed
+     * if the page is reloaded (unless the game is hosted by the scoreboard server),
+     * and update the audience display
+     * @param event
+     * @param eventData Object with the game state snapshot (state)
+     */
+    stateChangedHandler(event, eventData) {
+        if (!this.remote) {
+            GameStorage.save(eventData.state);
+        }
+        this.broadcastGame();
+    }
+
+    /**
+     * Game over (clock or score limit), stop the clock, sound the horn, store the
+     * result if the game is a season fixture, tell the view who won, show the final
+     * line score, and offer to replay the game
+     * @param event
+     * @param eventData Object with the winner team name ("home" or "guest") and
+     *                  the line score
+     */
+    gameEndedHandler(event, eventData) {
+        // The game may end with the score limit, while the clock is running
+        this.clock.clearInterval(this.timerInterval);
+        this.timerInterval = null;
+        this.view.setShotClock(null);
+        this.audio.play("gameEnd");
+        const fixture = this.season.recordResult(eventData.state.scores, this.clock.now());
+        if (fixture) {
+            this.endedFixtureId = fixture.id;
+            this.saveSeason();
+        }
+        // Only the basket that ended the game on the score limit can still be undone
+        this.view.setUndoRedo(this.model.canUndo(), false);
+        this.view.setWinner(eventData.winner);
+        this.view.setLineScore(eventData.lineScore);
+        this.view.showExport();
+        this.openReplay(eventData.state);
+        this.cancelScoreAnnouncement();
+        this.view.announceResult(eventData.winner, eventData.state.scores);
+        // The buttons of the game are of no use anymore: bring the keyboard (and the
+        // screen reader) to the result
+        this.view.focusResult();
+    }
+
+    /**
+     * The basket that ended the game on the score limit was undone: take the result
+     * back (from the season as well), and wait for the officials to restart the clock
+     * @param event
+     * @param eventData Object with the timer value the game goes on from
+     */
+    gameReopenedHandler(event, eventData) {
+        if (this.season.reopenFixture(this.endedFixtureId)) {
+            this.saveSeason();
+        }
+        this.endedFixtureId = null;
+        this.closeReplay();
+        this.view.resetWinner();
+        this.view.hideExport();
+        // The replay may have left the view at another moment of the game
+        this.view.setQuarter(this.model.quarter, this.model.getOvertime());
+        this.view.setClock(eventData.timer);
+        this.view.setShotClock(this.model.getShotClock());
+        this.view.showClockStopped();
+    }
+
+    /**
+     * Announce the scores to screen readers once they settle, see scoreAnnouncementDelay
+     */
+    announceScores() {
+        this.cancelScoreAnnouncement();
+        this.scoreAnnouncementTimeout = this.clock.setTimeout(() => {
+            this.scoreAnnouncementTimeout = null;
+            this.view.announceScores(this.model.getScoreboard().scores);
+        }, GameController.scoreAnnouncementDelay);
+    }
+
+    /**
+     * Drop the pending score announcement, e.g., when the end of the period, which
+     * tells the scores as well, is announced
+     */
+    cancelScoreAnnouncement() {
+        this.clock.clearTimeout(this.scoreAnnouncementTimeout);
+        this.scoreAnnouncementTimeout = null;
+    }
+
+    /**
+     * Reset the view to its initial state: scores to 0, fouls to 0,...
+     */
+    initView() {
+        this.view.initView();
+    }
+
+    /**
+     * Listener for the "New Game" button:
+     *      - Creates a new instance of the Model and the View. In a real app,
+     *        the Model and the View would most likely exist independently from
+     *        the controller, i.e., the controller would receive the Model
+     *        and View instances in the contructor
+     *      - Subscribe to the Model events
+     *      - Tell the Model OK to start game
+     * Nothing happens, except for an error message, if the game specifications are
+     * out of range.
+     * When the game is hosted by the scoreboard server, the server is asked to start
+     * the game, and every page connected to it is sent the new game.
+     * @param specs   Game specifications, defaults to the ones typed by the user
+     * @returns {boolean}   true if the game was started
+     */
+    startGame(specs = this.getGameSpecs()) {
+        this.audio.unlock();
+        const specsError = GameModel.validateSpecs(specs);
+        if (specsError) {
+            this.view.setError(specsError);
+            return false;
+        }
+        if (this.season.liveFixtureId !== null) {
+            // A new game is not the fixture that was being played
+            this.season.liveFixtureId = null;
+            this.saveSeason();
+        }
+        if (this.remote) {
+            this.remote.request("startGame", [specs, this.getRosters()]);
+            return true;
+        }
+        this.createGame(specs);
+        this.model.setRosters(this.getRosters());
+        this.model.startGame();
+        this.view.setBoxScore(this.model.getBoxScore());
+        this.view.setLineScore(this.model.getLineScore(), this.model.quarter);
+        return true;
+    }
+
+    /**
+     * Stop the timers of the previous game, if any, and create the Model and the View
+     * for a new game (or a game resumed from the saved state)
+     * @param specs   Game specifications
+     */
+    createGame(specs) {
+        this.closeReplay();
+        this.cancelScoreAnnouncement();
+        if (this.model) {
+            this.model.clearEventRegistry();
+        }
+        this.model = null;
+        this.view = null;
+        this.clock.clearInterval(this.timerInterval);
+        this.timerInterval = null;
+        this.clock.clearInterval(this.pauseInterval);
+        this.pauseInterval = null;
+        this.clock.clearInterval(this.teamTimeoutInterval);
+        this.teamTimeoutInterval = null;
+        this.reviewedReport = null;
+        this.endedFixtureId = null;
+        this.model = this.remote ? new RemoteGameModel(specs, this.remote) : new GameModel(specs, this.clock);
+        this.view = this.createView();
+        this.view.setTeams(this.teamSettings);
+        this.view.setScoreButtons(this.model.getScoringValues());
+        this.view.hideSavedGame();
+        this.subscribeToModelEvents();
+        this.gameCreatedCallbacks.forEach((callback) => callback(this.model));
+    }
+
+    /**
+     * Let extra features (loggers, audio, displays,...) subscribe to the events of
+     * every game: the callback is given each new Model as soon as it is created, and
+     * can register its own listeners with model.registerEventCallback()
+     * @param callback  Called with the Model of each new (or resumed, or imported) game
+     * @returns {function(): void}  Unsubscribe handle: call it to stop being given new games
+     */
+    onGameCreated(callback) {
+        this.gameCreatedCallbacks.push(callback);
+        return () => {
+            this.gameCreatedCallbacks = this.gameCreatedCallbacks.filter((entry) => entry !== callback);
+        };
+    }
+
+    /**
+     * If a game in progress was saved before the page was (re)loaded, let the user
+     * choose between resuming it and discarding it
+     */
+    offerSavedGame() {
+        const savedGame = GameStorage.load();
+        if (savedGame && !savedGame.gameOver) {
+            this.view.showSavedGame(
+                savedGame.quarter,
+                Math.max(savedGame.quarter - savedGame.specs.quarters, 0),
+                savedGame.scores
+            );
+        }
+    }
+
+    /**
+     * Listener for the Resume button: recreate the game from the saved state
+     */
+    resumeSavedGame() {
+        const savedGame = GameStorage.load();
+        if (!savedGame) {
+            this.view.hideSavedGame();
+            return;
+        }
+        this.resumeGame(savedGame);
+    }
+
+    /**
+     * Recreate a game from a snapshot of its state (saved game, or game of the
+     * scoreboard server), and resume the timers from the wall-clock time rather than
+     * from the last tick, i.e., the time elapsed since the snapshot was taken is taken
+     * off the clock (or off the pause in between quarters)
+     * @param savedGame   Game state snapshot
+     */
+    resumeGame(savedGame) {
+        this.createGame(savedGame.specs);
+        this.setGameSpecs(savedGame.specs);
+        this.model.restoreState(savedGame);
+        this.view.initView();
+        this.view.setQuarter(savedGame.quarter || "-", this.model.getOvertime());
+        this.view.setClock(savedGame.timer);
+        ["home", "guest"].forEach((team) => {
+            this.view.setScore(team, savedGame.scores[team]);
+            this.view.setFouls(team, savedGame.fouls[team]);
+            this.view.setBonus(team, this.model.isInBonus(team));
+            this.view.setTimeouts(team, this.model.getTimeouts(team));
+        });
+        this.view.setShotClockResets(this.model.shotClockDuration, this.model.shotClockOffensiveDuration);
+        this.view.setShotClock(this.model.getShotClock());
+        this.view.setPlayLog(savedGame.playLog);
+        this.view.setBoxScore(this.model.getBoxScore());
+        this.view.setLineScore(this.model.getLineScore(), savedGame.quarter);
+        this.view.setUndoRedo(this.model.canUndo(), this.model.canRedo());
+        this.view.showPossession(this.model.usesPossessionArrow());
+        this.view.setPossessionArrow(this.model.possessionArrow);
+        this.broadcastGame();
+
+        if (savedGame.gameOver) {
+            // Only a game of the scoreboard server can be over already
+            this.view.setWinner(this.model.getWinner());
+            this.view.setLineScore(this.model.getLineScore());
+            this.view.showExport();
+            this.openReplay(savedGame);
+        } else if (savedGame.clockStopped) {
+            this.view.showClockStopped();
+            if (savedGame.teamTimeout) {
+                const remainingTimeout = (savedGame.teamTimeout.endsAt - this.clock.now()) / 1000;
+                if (remainingTimeout > 0) {
+                    this.startTimeoutCountdown(savedGame.teamTimeout.team, remainingTimeout);
+                } else {
+                    this.model.endTimeout();
+                }
+            }
+        } else if (savedGame.quarter === 0) {
+            // Saved before the first quarter even started
+            this.model.newQuarter();
+        } else if (savedGame.gamePaused) {
+            // Saved in between quarters
+            const remainingPause = (savedGame.breakEndsAt - this.clock.now()) / 1000;
+            if (remainingPause > 0) {
+                this.quarterEndedHandler(null, {pauseDuration: remainingPause});
+            } else {
+                this.model.newQuarter();
+            }
+        } else {
+            // Saved while the clock was running
+            const elapsed = (this.clock.now() - savedGame.clockSyncedAt) / 1000;
+            this.view.setClock(this.model.updateTimer(elapsed));
+            this.view.setShotClock(this.model.getShotClock());
+            if (!this.model.isPaused() && !this.model.isOver()) {
+                this.startClock();
+            }
+        }
+    }
+
+    /**
+     * Listener for the Discard button: throw the saved game away
+     */
+    discardSavedGame() {
+        GameStorage.clear();
+        this.view.hideSavedGame();
+    }
+
+    /**
+     * An event was fired off by the game of the scoreboard server: pass it on to the
+     * copy of the game, which fires it off to the controller
+     * @param event       Event name
+     * @param eventData   Payload of the event, with the game snapshot
+     */
+    remoteEventHandler(event, eventData) {
+        if (this.model instanceof RemoteGameModel) {
+            this.model.receiveEvent(event, eventData);
+        }
+    }
+
+    /**
+     * The team settings were changed by an operator (maybe this one)
+     * @param teams   Team settings of both teams
+     */
+    remoteTeamsHandler(teams) {
+        ["home", "guest"].forEach((team) => {
+            this.teamSettings[team] = {...structuredClone(GameController.defaultTeamSettings[team]), ...teams[team]};
+        });
+        this.setTeamSettings(this.teamSettings);
+        this.showTeamSettings();
+    }
+
+    /**
+     * An action of this page was rejected by the scoreboard server, e.g., because
+     * another operator stopped the clock in the meantime: show the game as the server
+     * has it, and tell the operator why
+     * @param message   Why the action was rejected
+     * @param state     Game state snapshot of the server, null if no game was started
+     */
+    remoteRejectedHandler(message, state) {
+        if (state) {
+            this.resumeGame(state);
+        }
+        this.view.setError(message);
+    }
+
+    /**
+     * Increment score by 1, 2 or three points, but only if game is not paused or over
+     * The team whose score is to be increased and by how many points are found
+     * in the event currentTarget: the id of the button pressed by the user is, for instance,
+     * "home-1", meaning, increase the score of the "home" team by 1 point.
+     * @param event The event.currentTarget is the button that was pressed
+     */
+    incrementScore(event) {
+        if (!this.model) {
+            return;
+        }
         if (this.model.isPaused()) {
             this.view.setError("Game is paused, score is frozen until game resumes!");
             return;
         }
-        if (this.model.isOver()) {
-            this.view.setError("Game is over, wake up...");
-            return;
+        if (this.model.isOver()) {
+            this.view.setError("Game is over, wake up...");
+            return;
+        }
+
+        const [team, points] = event.currentTarget.getAttribute("id").split("-");
+        if (!this.model.getScoringValues().includes(Number(points))) {
+            // Keyboard shortcut of a hidden button
+            this.view.setError(`No ${points} point baskets in ${GameModel.gameModes[this.model.mode].label} games!`);
+            return;
+        }
+        const player = this.view.getSelectedPlayer(team) || null;
+        const newScore = this.model.updateScore(team, Number(points), player);
+        this.view.setScore(team, newScore);
+        // A basket resets the shot clock, unless it reached the score limit and ended the game
+        if (!this.model.isOver()) {
+            this.view.setShotClock(this.model.resetShotClock());
+        }
+    }
+
+    /**
+     * Listener for the shot clock buttons: reset the shot clock to its full duration,
+     * or to the offensive rebound duration (data-reset="offensive")
+     * @param event The event.currentTarget is the button that was pressed
+     */
+    resetShotClock(event) {
+        if (!this.model) {
+            return;
+        }
+        const newShotClock =
+            this.model.resetShotClock(event.currentTarget.dataset.reset === "offensive");
+        if (newShotClock === undefined) {
+            this.view.setError("No quarter is being played, the shot clock is off!");
+            return;
+        }
+        this.view.resetError();
+        this.view.setShotClock(newShotClock);
+    }
+
+    /**
+     * Record a foul for the player whose jersey number is entered next to the
+     * Foul button of the team. Fouls can be recorded while the clock is stopped
+     * (the whistle stops the clock), but not in between quarters or after the game.
+     * @param event The event.currentTarget is the button that was pressed ("home-foul"
+     *              or "guest-foul")
+     */
+    addFoul(event) {
+        if (!this.model) {
+            return;
+        }
+        if (this.model.isOver()) {
+            this.view.setError("Game is over, wake up...");
+            return;
+        }
+        if (this.model.isPaused() && !this.model.isClockStopped()) {
+            this.view.setError("No quarter is being played, fouls cannot be recorded!");
+            return;
+        }
+
+        const [team] = event.currentTarget.getAttribute("id").split("-");
+        const player = this.view.getSelectedPlayer(team);
+        if (!player) {
+            this.view.setError("Select the player who committed the foul!");
+            return;
+        }
+        if (this.model.updateFouls(team, player) === null) {
+            this.view.setError(`Player #${player} has fouled out!`);
+            return;
+        }
+        this.view.resetError();
+    }
+
+    /**
+     * Listener for the timeout buttons: the team calls a timeout, which stops the
+     * game clock
+     * @param event The event.currentTarget is the button that was pressed ("home-timeout"
+     *              or "guest-timeout")
+     */
+    callTimeout(event) {
+        if (!this.model) {
+            return;
+        }
+        if (this.model.isOver()) {
+            this.view.setError("Game is over, wake up...");
+            return;
+        }
+        const [team] = event.currentTarget.getAttribute("id").split("-");
+        if (!this.model.isInPlay()) {
+            this.view.setError("No quarter is being played, no timeout can be called!");
+            return;
+        }
+        if (this.model.isTimeoutInProgress()) {
+            this.view.setError("A timeout is already in progress!");
+            return;
+        }
+        if (this.model.getTimeouts(team) <= 0) {
+            this.view.setError(`No timeouts left for ${this.teamSettings[team].name}!`);
+            return;
+        }
+        this.syncClock();
+        this.model.callTimeout(team);
+        this.view.resetError();
+    }
+
+    /**
+     * Listener for the possession arrow buttons: set the arrow after the opening tip
+     * (or correct it)
+     * @param event The event.currentTarget is the button that was pressed, with the
+     *              team the arrow points to in its data-team attribute
+     */
+    setPossessionArrow(event) {
+        if (!this.model) {
+            return;
+        }
+        if (this.model.isOver()) {
+            this.view.setError("Game is over, wake up...");
+            return;
+        }
+        this.model.setPossessionArrow(event.currentTarget.dataset.team);
+        this.view.resetError();
+    }
+
+    /**
+     * Listener for the Jump ball button: a held ball is recorded, the team the arrow
+     * points to gets the ball and the arrow flips
+     */
+    recordJumpBall() {
+        if (!this.model) {
+            return;
+        }
+        if (this.model.isOver()) {
+            this.view.setError("Game is over, wake up...");
+            return;
+        }
+        if (!this.model.usesPossessionArrow()) {
+            this.view.setError("These rules have no possession arrow: jump balls are contested!");
+            return;
+        }
+        if (this.model.recordJumpBall() === null) {
+            this.view.setError("Set the possession arrow after the opening tip first!");
+            return;
+        }
+        this.view.resetError();
+    }
+
+    /**
+     * Listener for the Undo button: roll back the last score or foul
+     */
+    undo() {
+        if (!this.model) {
+            return;
+        }
+        // A game imported for review is only looked at, even if it ended on the score limit
+        if (this.reviewedReport || (this.model.isOver() && !this.model.canUndo())) {
+            this.view.setError("Game is over, the result can no longer be changed!");
+            return;
+        }
+        if (!this.model.undo()) {
+            this.view.setError("Nothing to undo!");
+            return;
+        }
+        this.view.resetError();
+    }
+
+    /**
+     * Listener for the Redo button: replay the last action that was undone
+     */
+    redo() {
+        if (!this.model) {
+            return;
+        }
+        if (this.model.isOver()) {
+            this.view.setError("Game is over, the result can no longer be changed!");
+            return;
+        }
+        if (!this.model.redo()) {
+            this.view.setError("Nothing to redo!");
+            return;
+        }
+        this.view.resetError();
+    }
+
+    /**
+     * Listener for the Pause/Resume button: stop the clock if it is running, restart
+     * it if it was stopped. The Model decides whether this is allowed, and fires off
+     * the gamePaused/gameUnpaused events the controller reacts upon.
+     */
+    toggleClock() {
+        if (!this.model) {
+            return;
+        }
+        if (this.model.isOver()) {
+            this.view.setError("Game is over, wake up...");
+            return;
+        }
+        if (this.model.isClockStopped()) {
+            this.model.restartClock();
+            return;
+        }
+        this.syncClock();
+        if (!this.model.stopClock()) {
+            this.view.setError("Clock can only be stopped while a quarter is being played!");
+        }
+    }
+
+    /**
+     * Listener for the clock correction buttons: add or remove the number of seconds
+     * found in the data-seconds attribute of the button pressed, but only while the
+     * clock is stopped
+     * @param event The event.currentTarget is the button that was pressed
+     */
+    adjustClock(event) {
+        if (!this.model) {
+            return;
+        }
+        if (!this.model.isClockStopped()) {
+            this.view.setError("Stop the clock before correcting it!");
+            return;
+        }
+        const newClock = this.model.adjustTimer(Number(event.currentTarget.dataset.seconds));
+        this.view.resetError();
+        this.view.setClock(newClock);
+        this.view.setShotClock(this.model.getShotClock());
+    }
+
+    /**
+     * Listener for the team name and color inputs: apply the new settings to the
+     * view, and remember them for the next games
+     */
+    updateTeamSettings() {
+        ["home", "guest"].forEach((team) => {
+            const name = document.getElementById(`${team}-name`).value.trim();
+            this.teamSettings[team].name = name || GameController.defaultTeamSettings[team].name;
+            this.teamSettings[team].color = document.getElementById(`${team}-color`).value;
+        });
+        this.applyTeamSettings();
+    }
+
+    /**
+     * Listener for the audio settings inputs: read which cues are turned on and the
+     * warning time, and remember them
+     */
+    updateAudioSettings() {
+        document.querySelectorAll(".audio-cue").forEach((inputEl) => {
+            this.audio.settings.cues[inputEl.dataset.cue] = inputEl.checked;
+        });
+        const warningSeconds = Number(document.getElementById("audio-warning-seconds").value);
+        if (!Number.isInteger(warningSeconds) || warningSeconds < 1 || warningSeconds > 600) {
+            this.view.setError("Warning beep time must be a whole number from 1 to 600!");
+            this.view.setAudioSettings(this.audio.settings);
+            return;
+        }
+        this.audio.settings.warningSeconds = warningSeconds;
+        GameStorage.saveAudio(this.audio.settings);
+    }
+
+    /**
+     * Listener for the mute button: mute all the cues, or unmute them. It also counts
+     * as the user gesture that lets the page make sounds.
+     */
+    toggleMute() {
+        this.audio.unlock();
+        this.audio.settings.muted = !this.audio.settings.muted;
+        this.view.setAudioSettings(this.audio.settings);
+        GameStorage.saveAudio(this.audio.settings);
+    }
+
+    /**
+     * Listener for the high contrast button: switch the high-contrast, large-type
+     * theme on or off, and remember the choice
+     */
+    toggleHighContrast() {
+        this.theme.highContrast = !this.theme.highContrast;
+        this.view.setTheme(this.theme);
+        GameStorage.saveTheme(this.theme);
+    }
+
+    /**
+     * Listener for the Add team button of the season
+     */
+    addSeasonTeam() {
+        const nameEl = document.getElementById("season-team-name");
+        if (!this.season.addTeam(nameEl.value.trim())) {
+            this.view.setError("Team names must be filled in, and different from one another!");
+            return;
+        }
+        nameEl.value = "";
+        this.view.resetError();
+        this.saveSeason();
+        this.recordSeasonTeams();
+    }
+
+    /**
+     * Listener for the Add fixture button of the season: the fixture will be played
+     * with the game specifications currently set
+     */
+    addSeasonFixture() {
+        const specs = this.getGameSpecs();
+        const specsError = GameModel.validateSpecs(specs);
+        if (specsError) {
+            this.view.setError(specsError);
+            return;
+        }
+        const home = document.getElementById("season-fixture-home").value;
+        const guest = document.getElementById("season-fixture-guest").value;
+        if (!this.season.addFixture(home, guest, specs)) {
+            this.view.setError("A fixture is played between two different teams of the season!");
+            return;
+        }
+        this.view.resetError();
+        this.saveSeason();
+    }
+
+    /**
+     * Listener for the buttons of the fixture list (one listener for the whole list,
+     * as its rows come and go): play a fixture, or remove it
+     * @param event The event.target is in the button that was pressed, which has the
+     *              action ("play" or "remove") and the fixture id as data attributes
+     */
+    seasonFixtureAction(event) {
+        const buttonEl = event.target.closest("button");
+        if (!buttonEl) {
+            return;
+        }
+        const fixtureId = Number(buttonEl.dataset.fixture);
+        if (buttonEl.dataset.action === "play") {
+            this.playFixture(fixtureId);
+        } else if (this.season.removeFixture(fixtureId)) {
+            this.saveSeason();
+        }
+    }
+
+    /**
+     * Launch the game of a fixture: the teams (with the color, logo and roster recorded
+     * for them in the season) and the game specifications are those of the fixture, and
+     * its result is stored when the game ends
+     * @param fixtureId
+     */
+    playFixture(fixtureId) {
+        const fixture = this.season.getFixture(fixtureId);
+        if (!fixture || fixture.result) {
+            this.view.setError("This fixture was already played!");
+            return;
+        }
+        this.setGameSpecs(fixture.specs);
+        ["home", "guest"].forEach((team) => {
+            // Another team: its own color, logo and roster, not those of the previous team
+            if (this.teamSettings[team].name !== fixture[team]) {
+                this.teamSettings[team] = {
+                    ...structuredClone(GameController.defaultTeamSettings[team]),
+                    ...this.season.getTeamRecord(fixture[team]),
+                    name: fixture[team],
+                };
+            }
+        });
+        this.setTeamSettings(this.teamSettings);
+        this.applyTeamSettings();
+        if (this.startGame()) {
+            this.season.startFixture(fixtureId);
+            this.saveSeason();
+        }
+    }
+
+    /**
+     * Listener for the Clear season button: forget the teams, fixtures and results
+     */
+    clearSeason() {
+        if (!confirm("Clear the season: teams, fixtures and results?")) {
+            return;
+        }
+        GameStorage.clearSeason();
+        this.season = new Season();
+        this.view.setSeason(this.season);
+    }
+
+    /**
+     * Save the season, and show it
+     */
+    saveSeason() {
+        GameStorage.saveSeason(this.season.getState());
+        this.view.setSeason(this.season);
+    }
+
+    /**
+     * Remember the settings (color, logo and roster) of the teams of the scoreboard that
+     * belong to the season, for their fixtures to be played with them
+     */
+    recordSeasonTeams() {
+        const recorded = ["home", "guest"].filter((team) => {
+            const {name, ...record} = this.teamSettings[team];
+            return this.season.setTeamRecord(name, record);
+        });
+        if (recorded.length) {
+            this.saveSeason();
+        }
+    }
+
+    /**
+     * Listener for the "Open display" button: open the audience display in another
+     * window (or bring it to the front if it is already open). It asks for the
+     * current state as soon as it is loaded.
+     */
+    openDisplay() {
+        if (!this.displayChannel) {
+            this.view.setError("This browser cannot show the audience display!");
+            return;
+        }
+        const displayWindow = window.open("scoreboard-display.html", "scoreboard-display");
+        if (!displayWindow) {
+            this.view.setError("The display window was blocked by the browser!");
+            return;
+        }
+        displayWindow.focus();
+    }
+
+    /**
+     * Listener for the messages of the audience display: a display that was just
+     * (re)opened requests the current state, send it the teams and the game
+     * @param event The event.data is {type: "request"}
+     */
+    displayRequestHandler(event) {
+        if (event.data.type === "request") {
+            this.broadcastTeams();
+            this.broadcastGame();
+        }
+    }
+
+    /**
+     * Teams shown on the scoreboard: the team settings, with the names and colors of
+     * the exported game when a game is imported for review
+     * @returns {{home: Object, guest: Object}}
+     */
+    getDisplayedTeams() {
+        if (!this.reviewedReport) {
+            return this.teamSettings;
+        }
+        return {
+            home: {...this.teamSettings.home, ...this.reviewedReport.teams.home},
+            guest: {...this.teamSettings.guest, ...this.reviewedReport.teams.guest},
+        };
+    }
+
+    /**
+     * Send the team names, colors and logos to the audience display. They are sent
+     * apart from the game, which is sent whenever its state changes, as logos are big.
+     */
+    broadcastTeams() {
+        if (!this.displayChannel) {
+            return;
+        }
+        const teams = this.getDisplayedTeams();
+        this.displayChannel.postMessage({
+            type: "teams",
+            teams: {
+                home: {name: teams.home.name, color: teams.home.color, logo: teams.home.logo},
+                guest: {name: teams.guest.name, color: teams.guest.color, logo: teams.guest.logo},
+            },
+        });
+    }
+
+    /**
+     * Send the game state snapshot to the audience display, along with the time it is
+     * sent: the display counts the clocks down on its own in between two snapshots, so
+     * the game is only sent when its state changes (see stateChangedHandler()), not at
+     * every clock tick
+     */
+    broadcastGame() {
+        if (!this.displayChannel) {
+            return;
+        }
+        let model = this.model;
+        if (!model) {
+            // No game yet: blank scoreboard
+            model = new GameModel(this.getGameSpecs(), this.clock);
+            model.initGame();
+        }
+        this.displayChannel.postMessage({type: "game", state: model.getState(), sentAt: this.clock.now()});
+    }
+
+    /**
+     * Report of the game: the game state completed with the team names, the winner,
+     * the line score and the box score
+     * @returns {Object}
+     */
+    buildReport() {
+        return {
+            exportedAt: this.clock.now(),
+            teams: {
+                home: {name: this.teamSettings.home.name, color: this.teamSettings.home.color},
+                guest: {name: this.teamSettings.guest.name, color: this.teamSettings.guest.color},
+            },
+            ...this.model.getState(),
+            winner: this.model.getWinner(),
+            lineScore: this.model.getLineScore(),
+            boxScore: this.model.getBoxScore(),
+        };
+    }
+
+    /**
+     * Listener for the export buttons: download the finished game in the format
+     * found in the data-format attribute of the button pressed (json, csv or html).
+     * A game imported for review is exported as it was imported.
+     * @param event The event.currentTarget is the button that was pressed
+     */
+    exportGame(event) {
+        if (!this.model || !this.model.isOver()) {
+            this.view.setError("Only a finished game can be exported!");
+            return;
+        }
+        const report = this.reviewedReport || this.buildReport();
+        const {home, guest} = report.teams;
+        const baseName = `${home.name}-${guest.name}-${new Date(report.exportedAt).toISOString().slice(0, 10)}`
+            .replace(/[^\w.-]+/g, "_");
+        const format = event.currentTarget.dataset.format;
+        if (format === "json") {
+            this.downloadFile(`${baseName}.json`, GameReport.toJSON(report), "application/json");
+        } else if (format === "csv") {
+            this.downloadFile(`${baseName}.csv`, GameReport.toCSV(report), "text/csv");
+        } else {
+            this.downloadFile(`${baseName}.html`, GameReport.toHTML(report), "text/html");
+        }
+    }
+
+    /**
+     * Have the browser download a file generated on the fly
+     * @param fileName
+     * @param content
+     * @param mimeType
+     */
+    downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], {type: `${mimeType};charset=utf-8`}));
+        const linkEl = document.createElement("a");
+        linkEl.href = url;
+        linkEl.download = fileName;
+        document.body.appendChild(linkEl);
+        linkEl.click();
+        linkEl.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Listener for the import file input: reload a finished game exported as JSON,
+     * for review. The imported game is shown with its own team names, but neither
+     * the team settings nor the saved game are changed.
+     * @param event The event.currentTarget is the file input
+     */
+    async importGame(event) {
+        const file = event.currentTarget.files[0];
+        event.currentTarget.value = "";
+        if (!file) {
+            return;
+        }
+        if (this.remote) {
+            this.view.setError("Games cannot be reviewed while connected to the scoreboard server!");
+            return;
+        }
+        let report;
+        try {
+            report = GameReport.fromJSON(await file.text());
+        } catch (error) {
+            this.view.setError(error.message);
+            return;
+        }
+        this.createGame(report.specs);
+        this.setGameSpecs(report.specs);
+        try {
+            this.model.restoreState(report);
+            this.reviewedReport = report;
+            this.view.setTeams(this.getDisplayedTeams());
+            this.view.initView();
+            this.view.setQuarter(report.quarter, this.model.getOvertime());
+            this.view.setClock(report.timer);
+            ["home", "guest"].forEach((team) => {
+                this.view.setScore(team, report.scores[team]);
+                this.view.setFouls(team, report.fouls[team]);
+                this.view.setTimeouts(team, report.timeouts[team]);
+            });
+            this.view.setPlayLog(report.playLog);
+            this.view.setBoxScore(this.model.getBoxScore());
+            this.view.setLineScore(this.model.getLineScore());
+            this.view.setWinner(this.model.getWinner());
+            this.view.showPossession(this.model.usesPossessionArrow());
+            this.view.setPossessionArrow(this.model.possessionArrow);
+            this.view.showExport();
+            this.openReplay(report);
+        } catch (error) {
+            // A damaged file that still passed the checks of fromJSON(): back to an empty game
+            this.createGame(report.specs);
+            this.model.initGame();
+            this.view.initView();
+            this.view.setBoxScore(this.model.getBoxScore());
+            this.view.setError("This file is damaged, the game could not be restored!");
+            return;
+        }
+        this.broadcastTeams();
+        this.broadcastGame();
+    }
+
+    /**
+     * Offer to replay a finished game: show the timeline of the game, with its lead
+     * changes and scoring runs, the slider being at the final buzzer
+     * @param state   Game state snapshot, or game report
+     */
+    openReplay(state) {
+        this.closeReplay();
+        this.replay = new GameReplay(state);
+        this.replayPosition = this.replay.duration;
+        this.view.showReplay(this.replay.periods, this.replay.getMarkers(), this.replay.duration);
+        this.view.setReplayPosition(this.replayPosition, this.replay.getPeriodAt(this.replayPosition));
+    }
+
+    /**
+     * Stop the replay, if any, and hide the timeline
+     */
+    closeReplay() {
+        this.stopReplay();
+        this.replay = null;
+        if (this.view) {
+            this.view.hideReplay();
+        }
+    }
+
+    /**
+     * Listener for the timeline slider: show the game as it was at that moment
+     * @param event The event.currentTarget is the slider, its value being the game
+     *              time elapsed, in seconds
+     */
+    seekReplay(event) {
+        if (!this.replay) {
+            return;
+        }
+        this.showReplayAt(Number(event.currentTarget.value));
+    }
+
+    /**
+     * Listener for the lead change and scoring run markers of the timeline: show the
+     * game right after the lead change, or at the end of the run
+     * @param event The event.target is the marker clicked
+     */
+    seekReplayMarker(event) {
+        const markerEl = event.target.closest(".replay-marker");
+        if (!this.replay || !markerEl) {
+            return;
+        }
+        this.showReplayAt(Number(markerEl.dataset.elapsed));
+    }
+
+    /**
+     * Listener for the Play/Pause button of the replay: re-animate the game from the
+     * moment shown (from the start if the slider is at the final buzzer), at the
+     * speed picked in the speed list, or pause the replay
+     */
+    toggleReplay() {
+        if (!this.replay) {
+            return;
+        }
+        if (this.replayInterval) {
+            this.stopReplay();
+            return;
+        }
+        if (this.replayPosition >= this.replay.duration) {
+            this.showReplayAt(0);
+        }
+        this.lastReplayTick = this.clock.elapsed();
+        this.replayInterval = this.clock.setInterval(this.tickReplay.bind(this), 100);
+        this.view.setReplayPlaying(true);
+    }
+
+    /**
+     * Move the replay on by the time elapsed since the last tick, times the speed of
+     * the replay, and stop it at the final buzzer
+     */
+    tickReplay() {
+        const now = this.clock.elapsed();
+        const speed = Number(document.getElementById("replay-speed").value);
+        this.showReplayAt(
+            Math.min(this.replayPosition + (now - this.lastReplayTick) / 1000 * speed, this.replay.duration)
+        );
+        this.lastReplayTick = now;
+        if (this.replayPosition >= this.replay.duration) {
+            this.stopReplay();
+        }
+    }
+
+    /**
+     * Pause the replay
+     */
+    stopReplay() {
+        this.clock.clearInterval(this.replayInterval);
+        this.replayInterval = null;
+        if (this.view) {
+            this.view.setReplayPlaying(false);
+        }
+    }
+
+    /**
+     * Show the game as it was at a moment of the replay: period, clock, scores,
+     * fouls, play-by-play log, line score and box score of that moment. The finished
+     * game itself (this.model) is left as it is.
+     * @param elapsed   Seconds of game time since the start of the first period
+     */
+    showReplayAt(elapsed) {
+        const model = this.replay.getModelAt(elapsed);
+        const scoreboard = model.getScoreboard();
+        this.replayPosition = elapsed;
+        this.view.setQuarter(model.quarter || "-", model.getOvertime());
+        this.view.setClock(model.timer);
+        this.view.setShotClock(null);
+        ["home", "guest"].forEach((team) => {
+            this.view.setScore(team, scoreboard.scores[team]);
+            this.view.setFouls(team, scoreboard.fouls[team]);
+            this.view.setBonus(team, scoreboard.bonus[team]);
+            this.view.resetPlayerFouls(team);
+        });
+        this.view.setPlayLog(model.playLog);
+        this.view.setBoxScore(model.getBoxScore());
+        this.view.resetWinner();
+        if (model.isOver()) {
+            this.view.setLineScore(model.getLineScore());
+            this.view.setWinner(model.getWinner());
+        } else {
+            this.view.setLineScore(model.getLineScore(), model.quarter);
+        }
+        this.view.setReplayPosition(elapsed, this.replay.getPeriodAt(elapsed));
+    }
+
+    /**
+     * Listener for the roster inputs: read the rosters, remember them with the team
+     * settings, and update the player selection lists (and the Model, if a game is
+     * in progress)
+     */
+    updateRoster() {
+        ["home", "guest"].forEach((team) => {
+            this.teamSettings[team].roster =
+                this.parseRoster(document.getElementById(`${team}-roster`).value);
+        });
+        this.applyTeamSettings();
+        if (this.model) {
+            this.model.setRosters(this.getRosters());
+            this.view.setBoxScore(this.model.getBoxScore());
+        }
+    }
+
+    /**
+     * Parse a roster typed by the user, one player per line: jersey number, then
+     * name (e.g. "23 LeBron James"). Lines without a jersey number, and duplicate
+     * numbers, are ignored.
+     * @param text    Roster text
+     * @returns {Array<{number: string, name: string}>}
+     */
+    parseRoster(text) {
+        const roster = [];
+        text.split("\n").forEach((line) => {
+            const match = line.trim().match(/^#?(\d{1,2})\s*(.*)$/);
+            if (match && !roster.some((player) => player.number === match[1])) {
+                roster.push({number: match[1], name: match[2].trim()});
+            }
+        });
+        return roster;
+    }
+
+    /**
+     * Rosters of both teams, from the team settings
+     * @returns {{home: Array, guest: Array}}
+     */
+    getRosters() {
+        return {home: this.teamSettings.home.roster, guest: this.teamSettings.guest.roster};
+    }
+
+    /**
+     * Listener for the logo file inputs: load the image chosen by the user, scaled
+     * down, as the logo of the team
+     * @param event The event.currentTarget is the file input ("home-logo-file" or
+     *              "guest-logo-file")
+     */
+    async loadLogo(event) {
+        const [team] = event.currentTarget.getAttribute("id").split("-");
+        const file = event.currentTarget.files[0];
+        if (!file) {
+            return;
+        }
+        try {
+            this.teamSettings[team].logo = await this.readLogoFile(file);
+            this.view.resetError();
+            this.applyTeamSettings();
+        } catch (error) {
+            this.view.setError("This logo could not be loaded, please choose an image file!");
+        }
+    }
+
+    /**
+     * Listener for the logo Remove buttons
+     * @param event The event.currentTarget is the button that was pressed
+     *              ("home-logo-clear" or "guest-logo-clear")
+     */
+    clearLogo(event) {
+        const [team] = event.currentTarget.getAttribute("id").split("-");
+        this.teamSettings[team].logo = "";
+        document.getElementById(`${team}-logo-file`).value = "";
+        this.applyTeamSettings();
+    }
+
+    /**
+     * Read an image file from the user's computer, and scale it down to fit in a
+     * logoSize x logoSize square
+     * @param file    Image file
+     * @returns {Promise<string>}   The scaled down image, as a PNG data URL
+     */
+    readLogoFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onerror = () => reject(reader.error);
+            reader.onload = () => {
+                const image = new Image();
+                image.onerror = () => reject(new Error(`${file.name} is not an image`));
+                image.onload = () => {
+                    const scale =
+                        Math.min(1, GameController.logoSize / Math.max(image.width, image.height));
+                    const canvas = document.createElement("canvas");
+                    canvas.width = Math.round(image.width * scale);
+                    canvas.height = Math.round(image.height * scale);
+                    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+                    resolve(canvas.toDataURL("image/png"));
+                };
+                image.src = reader.result;
+            };
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Show the team settings in the view, and remember them for the next games (and for
+     * the fixtures of the teams, if they belong to the season). They are shared with the
+     * other pages when the game is hosted by the scoreboard server.
+     */
+    applyTeamSettings() {
+        this.showTeamSettings();
+        this.recordSeasonTeams();
+        if (this.remote) {
+            this.remote.request("setTeams", [this.teamSettings]);
+        }
+    }
+
+    /**
+     * Show the team settings in the view and on the audience display, and remember them
+     */
+    showTeamSettings() {
+        this.view.setTeams(this.teamSettings);
+        GameStorage.saveTeams(this.teamSettings);
+        this.broadcastTeams();
+        if (this.model && !this.reviewedReport) {
+            this.view.setLineScore(this.model.getLineScore(), this.model.isOver() ? 0 : this.model.quarter);
         }
+    }
 
-        const [team, points] = event.currentTarget.getAttribute("id").split("-");
-        const newScore = this.model.updateScore(team, Number(points));
-        this.view.setScore(team, newScore);
+    /**
+     * Put the team settings into the user input fields (the logo file inputs cannot
+     * be set, the logo itself is shown in the team panel)
+     * @param teams   Team settings
+     */
+    setTeamSettings(teams) {
+        ["home", "guest"].forEach((team) => {
+            document.getElementById(`${team}-name`).value = teams[team].name;
+            document.getElementById(`${team}-color`).value = teams[team].color;
+            document.getElementById(`${team}-roster`).value = teams[team].roster
+                .map((player) => `${player.number} ${player.name}`.trim())
+                .join("\n");
+        });
+    }
+
+    /**
+     * Put game specifications back into the user input fields, e.g., when a saved
+     * game is resumed
+     * @param specs   Game specifications, as returned by getGameSpecs()
+     */
+    setGameSpecs(specs) {
+        document.getElementById("game-quarters").value = specs.quarters;
+        document.getElementById("game-duration").value = specs.quarterDuration;
+        document.getElementById("game-timeout").value = specs.timeOut;
+        document.getElementById("game-halftime").value = specs.halftime ?? specs.timeOut;
+        document.getElementById("game-foul-period").value = specs.foulPeriod;
+        document.getElementById("game-bonus").value = specs.bonusThreshold;
+        document.getElementById("game-foul-limit").value = specs.foulLimit;
+        document.getElementById("game-overtime").checked = specs.overtime;
+        document.getElementById("game-overtime-duration").value = specs.overtimeDuration;
+        document.getElementById("game-shot-clock").value = specs.shotClock ?? 24;
+        document.getElementById("game-shot-clock-offensive").value = specs.shotClockOffensive ?? 14;
+        document.getElementById("game-team-timeouts").value = specs.teamTimeouts;
+        document.getElementById("game-team-timeout-period").value = specs.teamTimeoutPeriod;
+        document.getElementById("game-team-timeout-duration").value = specs.teamTimeoutDuration;
+        document.getElementById("game-possession-rule").value = specs.possessionRule ?? "period";
+        document.getElementById("game-mode").value = specs.mode ?? "standard";
+        document.getElementById("game-preset").value = this.findPreset(this.getGameSpecs());
+    }
+
+    /**
+     * Listener for the game preset selection: fill the game specification inputs in
+     * with the rules of the preset (nothing to do for "Custom")
+     * @param event The event.currentTarget is the preset select
+     */
+    applyPreset(event) {
+        const preset = GameController.gamePresets[event.currentTarget.value];
+        if (preset) {
+            this.setGameSpecs(preset.specs);
+        }
+    }
+
+    /**
+     * Preset whose rules are exactly the given game specifications
+     * @param specs   Game specifications, as returned by getGameSpecs()
+     * @returns {string}  Preset key, or "custom" if no preset matches
+     */
+    findPreset(specs) {
+        const presetKey = Object.keys(GameController.gamePresets).find((key) => {
+            const presetSpecs = GameController.gamePresets[key].specs;
+            return Object.keys(presetSpecs).every((spec) => presetSpecs[spec] === specs[spec]);
+        });
+        return presetKey || "custom";
     }
 
     /**
      * Get game specifications from user input: number of quarters to play,
-     * duration of one quarter, and duration of timeout between quarters
-     * @returns {{quarters: number, quarterDuration: number, timeOut: number}}
+     * duration of one quarter, duration of timeout between quarters and at half time,
+     * the foul rules (team fouls reset period, bonus threshold and personal fouls limit),
+     * whether overtime is played, with its duration, the shot clock durations, the
+     * team timeouts allowance, the possession arrow rule and the game mode. Values are
+     * not checked, see GameModel.validateSpecs().
+     * @returns {{quarters: number, quarterDuration: number, timeOut: number, halftime: number,
+     *            foulPeriod: string, bonusThreshold: number, foulLimit: number,
+     *            overtime: boolean, overtimeDuration: number, shotClock: number,
+     *            shotClockOffensive: number, teamTimeouts: number,
+     *            teamTimeoutPeriod: string, teamTimeoutDuration: number, possessionRule: string,
+     *            mode: string}}
      */
     getGameSpecs() {
         const quarters = document.getElementById("game-quarters").value;
         const qduration = document.getElementById("game-duration").value;
         const timeOut = document.getElementById("game-timeout").value;
+        const halftime = document.getElementById("game-halftime").value;
+        const foulPeriod = document.getElementById("game-foul-period").value;
+        const bonusThreshold = document.getElementById("game-bonus").value;
+        const foulLimit = document.getElementById("game-foul-limit").value;
+        const overtime = document.getElementById("game-overtime").checked;
+        const overtimeDuration = document.getElementById("game-overtime-duration").value;
+        const shotClock = document.getElementById("game-shot-clock").value;
+        const shotClockOffensive = document.getElementById("game-shot-clock-offensive").value;
+        const teamTimeouts = document.getElementById("game-team-timeouts").value;
+        const teamTimeoutPeriod = document.getElementById("game-team-timeout-period").value;
+        const teamTimeoutDuration = document.getElementById("game-team-timeout-duration").value;
+        const possessionRule = document.getElementById("game-possession-rule").value;
+        const mode = document.getElementById("game-mode").value;
         return {
             quarters: Number(quarters),
             quarterDuration: Number(qduration),
             timeOut: Number(timeOut),
+            halftime: Number(halftime),
+            foulPeriod: foulPeriod,
+            bonusThreshold: Number(bonusThreshold),
+            foulLimit: Number(foulLimit),
+            overtime: overtime,
+            overtimeDuration: Number(overtimeDuration),
+            shotClock: Number(shotClock),
+            shotClockOffensive: Number(shotClockOffensive),
+            teamTimeouts: Number(teamTimeouts),
+            teamTimeoutPeriod: teamTimeoutPeriod,
+            teamTimeoutDuration: Number(teamTimeoutDuration),
+            possessionRule: possessionRule,
+            mode: mode,
         }
     }
 
@@ -508,16 +2462,54 @@ class GameView {
      * to interact with at one point or another in the game.
      */
     constructor() {
+        this.teamNames = {home: "Home", guest: "Guest"};
         this.homeScoreEl = document.getElementById("home-score");
         this.homeFoulsEl = document.getElementById("home-fouls");
         this.guestScoreEl = document.getElementById("guest-score");
         this.guestFoulsEl = document.getElementById("guest-fouls");
+        this.homeBonusEl = document.getElementById("home-bonus");
+        this.guestBonusEl = document.getElementById("guest-bonus");
+        this.homePlayerFoulsEl = document.getElementById("home-player-fouls");
+        this.homeTimeoutsEl = document.getElementById("home-timeouts");
+        this.guestTimeoutsEl = document.getElementById("guest-timeouts");
+        this.teamTimeoutEl = document.getElementById("team-timeout");
+        this.teamTimeoutTeamEl = document.getElementById("team-timeout-team");
+        this.teamTimeoutDurationEl = document.getElementById("team-timeout-duration");
+        this.guestPlayerFoulsEl = document.getElementById("guest-player-fouls");
         this.clockEl = document.getElementById("clock");
+        this.shotClockEl = document.getElementById("shot-clock");
+        this.shotClockFullEl = document.querySelector(".reset-shot-clock[data-reset='full']");
+        this.shotClockOffensiveEl = document.querySelector(".reset-shot-clock[data-reset='offensive']");
         this.quarterEl = document.getElementById("quarter");
         this.errorEl = document.getElementById("error");
         this.pausedEl = document.getElementById("paused");
         this.pauseDurationEl = document.getElementById("pause-duration");
         this.resultEl = document.getElementById("result");
+        this.clockStoppedEl = document.getElementById("clock-stopped");
+        this.toggleClockEl = document.getElementById("toggle-clock");
+        this.playLogEl = document.getElementById("play-log");
+        this.undoEl = document.getElementById("undo");
+        this.redoEl = document.getElementById("redo");
+        this.savedGameEl = document.getElementById("saved-game");
+        this.savedGameTextEl = document.getElementById("saved-game-text");
+        this.lineScoreHeadEl = document.getElementById("line-score-head");
+        this.lineScoreBodyEl = document.getElementById("line-score-body");
+        this.exportEl = document.getElementById("export-ctr");
+        this.possessionEl = document.getElementById("possession");
+        this.possessionArrowEl = document.getElementById("possession-arrow");
+        this.possessionNoteEl = document.getElementById("possession-note");
+        this.boxScoreEl = document.getElementById("box-score");
+        this.toggleBoxScoreEl = document.getElementById("toggle-box-score");
+        this.shortcutsHelpEl = document.getElementById("shortcuts-help");
+        this.shortcutsListEl = document.getElementById("shortcuts-list");
+        this.remoteStatusEl = document.getElementById("remote-status");
+        this.replayEl = document.getElementById("replay-ctr");
+        this.replayPeriodsEl = document.getElementById("replay-periods");
+        this.replayMarkersEl = document.getElementById("replay-markers");
+        this.replaySliderEl = document.getElementById("replay-slider");
+        this.replayPlayEl = document.getElementById("replay-play");
+        this.replayPositionEl = document.getElementById("replay-position");
+        this.announcerEl = document.getElementById("announcer");
     }
 
     /**
@@ -528,8 +2520,21 @@ class GameView {
         this.setScore("guest", 0);
         this.setFouls("home", 0);
         this.setFouls("guest", 0);
+        this.setBonus("home", false);
+        this.setBonus("guest", false);
+        this.resetPlayerFouls("home");
+        this.resetPlayerFouls("guest");
         this.setClock(0);
+        this.setShotClock(null);
         this.setQuarter("-");
+        this.removeClockStopped();
+        this.removeTeamTimeout();
+        this.setPlayLog([]);
+        this.setLineScore([]);
+        this.setPossessionArrow(null);
+        this.setPossessionNote("");
+        this.setUndoRedo(false, false);
+        this.hideExport();
         this.resetWinner();
     }
 
@@ -538,18 +2543,66 @@ class GameView {
      * @param newTimeInSeconds
      */
     setClock(newTimeInSeconds) {
-        let timeString =
-            `${Math.floor(newTimeInSeconds / 60).toString().padStart(2, "0")}:`;
-        timeString += `${(newTimeInSeconds % 60).toString().padStart(2, "0")}`;
-        this.clockEl.textContent = timeString;
+        this.clockEl.textContent = formatClock(newTimeInSeconds);
+    }
+
+    /**
+     * Set the shot clock value, or turn the shot clock off (blank) when null.
+     * Any value other than zero also clears the violation signal.
+     * @param newShotClock
+     */
+    setShotClock(newShotClock) {
+        if (newShotClock !== 0) {
+            this.shotClockEl.classList.remove("violation");
+        }
+        this.shotClockEl.classList.toggle("off", newShotClock === null);
+        this.shotClockEl.textContent = newShotClock === null ? "" : Math.ceil(newShotClock).toString();
     }
 
     /**
-     * Set the quarter number, such as "Q1", "Q2",...
+     * Signal a shot clock violation: the shot clock flashes until it is reset
+     */
+    showShotClockViolation() {
+        this.shotClockEl.classList.add("violation");
+    }
+
+    /**
+     * Label the shot clock reset buttons with the durations of the game
+     * @param full        Full shot clock duration
+     * @param offensive   Shot clock duration after an offensive rebound
+     */
+    setShotClockResets(full, offensive) {
+        this.shotClockFullEl.textContent = full.toString();
+        this.shotClockOffensiveEl.textContent = offensive.toString();
+    }
+
+    /**
+     * Show the CLOCK STOPPED state: clock dimmed, banner visible, and the Pause
+     * button turned into a Resume button
+     */
+    showClockStopped() {
+        this.clockEl.classList.add("stopped");
+        this.clockStoppedEl.classList.add("show");
+        this.toggleClockEl.textContent = "Resume";
+    }
+
+    /**
+     * Back to the running clock state
+     */
+    removeClockStopped() {
+        this.clockEl.classList.remove("stopped");
+        this.clockStoppedEl.classList.remove("show");
+        this.toggleClockEl.textContent = "Pause";
+    }
+
+    /**
+     * Set the quarter number, such as "Q1", "Q2",..., or the overtime period
+     * number, such as "OT1", "OT2",...
      * @param newQuarter
+     * @param overtime    Overtime period number, 0 (default) during regulation
      */
-    setQuarter(newQuarter) {
-        this.quarterEl.textContent = `Q${newQuarter.toString()}`;
+    setQuarter(newQuarter, overtime = 0) {
+        this.quarterEl.textContent = formatPeriod(newQuarter, overtime);
     }
 
     /**
@@ -565,6 +2618,312 @@ class GameView {
         }
     }
 
+    /**
+     * Show the score buttons of the points a basket can be worth, hide the others
+     * @param points  Points a basket can be worth, e.g., [1, 2] in 3x3
+     */
+    setScoreButtons(points) {
+        document.querySelectorAll(".inc-score button").forEach((buttonEl) => {
+            const buttonPoints = Number(buttonEl.getAttribute("id").split("-")[1]);
+            buttonEl.classList.toggle("off", !points.includes(buttonPoints));
+        });
+    }
+
+    /**
+     * Apply the team settings: names in the team titles (and everywhere a team is
+     * mentioned), colors of the team titles and score displays, and logos
+     * @param teams   Object with the home and guest team settings (name, color, logo)
+     */
+    setTeams(teams) {
+        ["home", "guest"].forEach((team) => {
+            this.teamNames[team] = teams[team].name;
+            document.getElementById(`${team}-title`).textContent = teams[team].name;
+            // The buttons only show "+1", "Foul",...: screen readers also need the team
+            [1, 2, 3].forEach((points) => {
+                document.getElementById(`${team}-${points}`).setAttribute(
+                    "aria-label", `${teams[team].name}: ${points} point${points > 1 ? "s" : ""}`
+                );
+            });
+            document.getElementById(`${team}-foul`).setAttribute("aria-label", `${teams[team].name}: foul`);
+            document.getElementById(`${team}-timeout`).setAttribute("aria-label", `${teams[team].name}: timeout`);
+            document.getElementById(`${team}-player`).setAttribute("aria-label", `${teams[team].name} player`);
+            document.getElementById(`${team}-panel`).style.setProperty("--team-color", teams[team].color);
+            const logoEl = document.getElementById(`${team}-logo`);
+            logoEl.src = teams[team].logo;
+            logoEl.alt = teams[team].logo ? `${teams[team].name} logo` : "";
+            logoEl.classList.toggle("show", Boolean(teams[team].logo));
+            this.setPlayerOptions(team, teams[team].roster);
+        });
+    }
+
+    /**
+     * Fill the player selection list of a team with its roster, or with all jersey
+     * numbers if there is no roster. The first option ("Team") is for points scored
+     * without selecting a player.
+     * @param team
+     * @param roster    Array of players ({number, name})
+     */
+    setPlayerOptions(team, roster) {
+        const selectEl = document.getElementById(`${team}-player`);
+        const selected = selectEl.value;
+        const players = roster.length
+            ? roster
+            : Array.from({length: 100}, (_, number) => ({number: number.toString(), name: ""}));
+        const teamOptionEl = document.createElement("option");
+        teamOptionEl.value = "";
+        teamOptionEl.textContent = "Team";
+        const optionEls = players.map((player) => {
+            const optionEl = document.createElement("option");
+            optionEl.value = player.number;
+            optionEl.textContent = `#${player.number} ${player.name}`.trim();
+            return optionEl;
+        });
+        selectEl.replaceChildren(teamOptionEl, ...optionEls);
+        selectEl.value = players.some((player) => player.number === selected) ? selected : "";
+    }
+
+    /**
+     * Player selected in the player selection list of a team
+     * @param team
+     * @returns {string}  Jersey number of the player, or "" for the team
+     */
+    getSelectedPlayer(team) {
+        return document.getElementById(`${team}-player`).value;
+    }
+
+    /**
+     * Render the box score tables, one line per player plus the team totals
+     * @param boxScore  Box score, as returned by GameModel.getBoxScore()
+     */
+    setBoxScore(boxScore) {
+        ["home", "guest"].forEach((team) => {
+            document.getElementById(`${team}-box-score-team`).textContent = this.teamNames[team];
+            const rows = [...boxScore[team].players, boxScore[team].totals].map((line) => {
+                const rowEl = document.createElement("tr");
+                const cells = [
+                    line.number === "" ? "" : `#${line.number}`, line.name,
+                    line.points, line.ones, line.twos, line.threes, line.fouls
+                ];
+                cells.forEach((cell) => {
+                    const cellEl = document.createElement("td");
+                    cellEl.textContent = cell.toString();
+                    rowEl.appendChild(cellEl);
+                });
+                return rowEl;
+            });
+            rows[rows.length - 1].classList.add("totals");
+            document.getElementById(`${team}-box-score`).replaceChildren(...rows);
+        });
+    }
+
+    /**
+     * Render the line score table: one column per period (quarters, then overtime
+     * periods) and a total column, one row per team
+     * @param lineScore     Line score, as returned by GameModel.getLineScore()
+     * @param quarter       Period being played, highlighted in the table (none if 0)
+     */
+    setLineScore(lineScore, quarter = 0) {
+        const headerRowEl = document.createElement("tr");
+        ["", ...lineScore.map((period) => formatPeriod(period.quarter, period.overtime)), "T"]
+            .forEach((header, index) => {
+                const headerEl = document.createElement("th");
+                headerEl.textContent = header;
+                headerEl.classList.toggle("current", index > 0 && index === quarter);
+                headerRowEl.appendChild(headerEl);
+            });
+        this.lineScoreHeadEl.replaceChildren(headerRowEl);
+        const rows = ["home", "guest"].map((team) => {
+            const rowEl = document.createElement("tr");
+            const total = lineScore.reduce((points, period) => points + period.points[team], 0);
+            [this.teamNames[team], ...lineScore.map((period) => period.points[team]), total]
+                .forEach((cell, index) => {
+                    const cellEl = document.createElement("td");
+                    cellEl.textContent = cell.toString();
+                    cellEl.classList.toggle("current", index > 0 && index === quarter);
+                    rowEl.appendChild(cellEl);
+                });
+            return rowEl;
+        });
+        this.lineScoreBodyEl.replaceChildren(...rows);
+    }
+
+    /**
+     * Show the possession arrow and its buttons, or hide them if the rules do not use it
+     * @param shown
+     */
+    showPossession(shown) {
+        this.possessionEl.classList.toggle("show", shown);
+    }
+
+    /**
+     * Point the possession arrow to a team
+     * @param team    "home", "guest", or null while the arrow is not set
+     */
+    setPossessionArrow(team) {
+        this.possessionArrowEl.textContent = team === "home" ? "◀" : team === "guest" ? "▶" : "◆";
+        this.possessionArrowEl.classList.toggle("not-set", team === null);
+        this.possessionArrowEl.title = team ? `Next alternating possession: ${this.teamNames[team]}` : "Not set";
+    }
+
+    /**
+     * Tell who got the ball on the last alternating possession
+     * @param text
+     */
+    setPossessionNote(text) {
+        this.possessionNoteEl.textContent = text;
+    }
+
+    /**
+     * Show the export buttons, once the game is over
+     */
+    showExport() {
+        this.exportEl.classList.add("show");
+    }
+
+    /**
+     * Hide the export buttons
+     */
+    hideExport() {
+        this.exportEl.classList.remove("show");
+    }
+
+    /**
+     * Show the replay timeline of a finished game: one section per period, and the
+     * markers of the lead changes (ticks) and scoring runs (bars covering the run),
+     * above the timeline for the home team and below it for the guest team
+     * @param periods   Periods played, as in GameReplay.periods
+     * @param markers   Lead changes and scoring runs, as returned by GameReplay.getMarkers()
+     * @param duration  Game time of the whole game, in seconds
+     */
+    showReplay(periods, markers, duration) {
+        const percent = (elapsed) => `${(elapsed / duration * 100).toFixed(3)}%`;
+        this.replayPeriodsEl.replaceChildren(...periods.map((period) => {
+            const periodEl = document.createElement("span");
+            periodEl.classList.add("replay-period");
+            periodEl.style.left = percent(period.start);
+            // The last period is cut short when the game ended with the score limit
+            periodEl.style.width = percent(Math.min(period.duration, duration - period.start));
+            periodEl.textContent = formatPeriod(period.quarter, period.overtime);
+            return periodEl;
+        }));
+        this.replayMarkersEl.replaceChildren(...markers.map((marker) => {
+            const markerEl = document.createElement("span");
+            const when = `${formatPeriod(marker.quarter, marker.overtime)} ${formatClock(marker.clock)}`;
+            const score = `${marker.scores.home}-${marker.scores.guest}`;
+            markerEl.classList.add("replay-marker", marker.type === "run" ? "run" : "lead-change", marker.team);
+            markerEl.style.left = percent(marker.elapsed);
+            if (marker.type === "run") {
+                markerEl.style.width = percent(marker.endElapsed - marker.elapsed);
+                markerEl.title = `${when}: ${marker.points}-0 run by ${this.teamNames[marker.team]} (${score})`;
+                markerEl.dataset.elapsed = marker.endElapsed.toString();
+            } else {
+                markerEl.title = `${when}: ${this.teamNames[marker.team]} takes the lead (${score})`;
+                markerEl.dataset.elapsed = marker.elapsed.toString();
+            }
+            return markerEl;
+        }));
+        this.replaySliderEl.max = duration.toString();
+        this.replayEl.classList.add("show");
+    }
+
+    /**
+     * Hide the replay timeline
+     */
+    hideReplay() {
+        this.replayEl.classList.remove("show");
+    }
+
+    /**
+     * Move the replay slider, and tell which moment of the game it is at
+     * @param elapsed   Game time elapsed, in seconds
+     * @param moment    Period and clock of that moment, as returned by GameReplay.getPeriodAt()
+     */
+    setReplayPosition(elapsed, moment) {
+        this.replaySliderEl.value = elapsed.toString();
+        this.replayPositionEl.textContent = `${formatPeriod(moment.quarter, moment.overtime)} ${formatClock(moment.clock)}`;
+    }
+
+    /**
+     * Turn the replay button into a Pause button while the replay plays, and back
+     * @param playing
+     */
+    setReplayPlaying(playing) {
+        this.replayPlayEl.textContent = playing ? "Pause" : "Play";
+    }
+
+    /**
+     * Render the season: team selection lists of the fixture form, fixture list (with
+     * Play/Remove buttons for the fixtures not played yet) and standings
+     * @param season    Season
+     */
+    setSeason(season) {
+        ["home", "guest"].forEach((team) => {
+            const selectEl = document.getElementById(`season-fixture-${team}`);
+            const selected = selectEl.value;
+            selectEl.replaceChildren(...season.teams.map((name) => {
+                const optionEl = document.createElement("option");
+                optionEl.value = name;
+                optionEl.textContent = name;
+                return optionEl;
+            }));
+            selectEl.value = season.teams.includes(selected) ? selected : (season.teams[team === "home" ? 0 : 1] ?? "");
+        });
+        const fixtureRows = season.fixtures.map((fixture) => {
+            const rowEl = document.createElement("tr");
+            rowEl.classList.toggle("live", fixture.id === season.liveFixtureId);
+            const result = fixture.result
+                ? `${fixture.result.home} - ${fixture.result.guest}`
+                : fixture.id === season.liveFixtureId ? "Playing" : "";
+            [fixture.home, fixture.guest, result].forEach((cell) => {
+                const cellEl = document.createElement("td");
+                cellEl.textContent = cell;
+                rowEl.appendChild(cellEl);
+            });
+            const actionsEl = document.createElement("td");
+            if (!fixture.result) {
+                ["play", "remove"].forEach((action) => {
+                    const buttonEl = document.createElement("button");
+                    buttonEl.dataset.action = action;
+                    buttonEl.dataset.fixture = fixture.id.toString();
+                    buttonEl.textContent = action === "play" ? "Play" : "Remove";
+                    actionsEl.appendChild(buttonEl);
+                });
+            }
+            rowEl.appendChild(actionsEl);
+            return rowEl;
+        });
+        document.getElementById("season-fixtures").replaceChildren(...fixtureRows);
+        const standingRows = season.getStandings().map((line) => {
+            const rowEl = document.createElement("tr");
+            [
+                line.team, line.played, line.wins, line.losses, line.draws,
+                line.pointsFor, line.pointsAgainst, line.difference > 0 ? `+${line.difference}` : line.difference
+            ].forEach((cell) => {
+                const cellEl = document.createElement("td");
+                cellEl.textContent = cell.toString();
+                rowEl.appendChild(cellEl);
+            });
+            return rowEl;
+        });
+        document.getElementById("season-standings").replaceChildren(...standingRows);
+    }
+
+    /**
+     * Show the season, or hide it if it is shown
+     */
+    toggleSeason() {
+        const shown = document.getElementById("season").classList.toggle("show");
+        document.getElementById("toggle-season").textContent = shown ? "Hide" : "Show";
+    }
+
+    /**
+     * Show the box score, or hide it if it is shown
+     */
+    toggleBoxScore() {
+        const shown = this.boxScoreEl.classList.toggle("show");
+        this.toggleBoxScoreEl.textContent = shown ? "Hide" : "Show";
+    }
+
     /**
      * If no winner, display a message saying: NO WINNER: DRAW in red.
      * Otherwise, display a message with the name of the winner, AND
@@ -574,7 +2933,7 @@ class GameView {
      */
     setWinner(newWinner) {
         if (newWinner) {
-            this.resultEl.innerText = `WINNER : ${newWinner}`;
+            this.resultEl.innerText = `WINNER : ${this.teamNames[newWinner]}`;
             this.resultEl.classList.add("has-winner");
             document.getElementById(`${newWinner}-title`).classList.add("is-winner");
             document.getElementById(`${newWinner}-score`).classList.add("is-winner");
@@ -611,6 +2970,196 @@ class GameView {
         }
     }
 
+    /**
+     * Show or hide the BONUS indicator of a team
+     * @param team
+     * @param inBonus
+     */
+    setBonus(team, inBonus) {
+        this[`${team}BonusEl`].classList.toggle("show", inBonus);
+    }
+
+    /**
+     * Show the personal fouls of the last player who committed a foul, with a
+     * warning if the player has fouled out
+     * @param team
+     * @param player    Jersey number of the player
+     * @param fouls     Personal fouls of the player
+     * @param fouledOut Whether the player reached the personal fouls limit
+     */
+    setPlayerFouls(team, player, fouls, fouledOut) {
+        const playerFoulsEl = this[`${team}PlayerFoulsEl`];
+        playerFoulsEl.textContent = fouledOut
+            ? `#${player} FOULED OUT (${fouls})`
+            : `#${player}: ${fouls} foul${fouls > 1 ? "s" : ""}`;
+        playerFoulsEl.classList.toggle("fouled-out", fouledOut);
+    }
+
+    /**
+     * Clear the personal fouls display of a team
+     * @param team
+     */
+    resetPlayerFouls(team) {
+        const playerFoulsEl = this[`${team}PlayerFoulsEl`];
+        playerFoulsEl.textContent = "";
+        playerFoulsEl.classList.remove("fouled-out");
+    }
+
+    /**
+     * Render the play-by-play log, one line per action, and keep the latest action
+     * in view
+     * @param log   Array of play-by-play entries
+     */
+    setPlayLog(log) {
+        const items = log.map((entry) => {
+            const itemEl = document.createElement("li");
+            const what = entry.action === "score"
+                ? `+${entry.points}${entry.player ? ` #${entry.player}` : ""}`
+                : `FOUL #${entry.player}`;
+            itemEl.textContent =
+                `${formatPeriod(entry.quarter, entry.overtime)} ${formatClock(entry.clock)} - ${this.teamNames[entry.team].toUpperCase()} ${what}`;
+            itemEl.classList.add(entry.action);
+            return itemEl;
+        });
+        this.playLogEl.replaceChildren(...items);
+        this.playLogEl.scrollTop = this.playLogEl.scrollHeight;
+    }
+
+    /**
+     * Enable or disable the Undo and Redo buttons
+     * @param canUndo
+     * @param canRedo
+     */
+    setUndoRedo(canUndo, canRedo) {
+        this.undoEl.disabled = !canUndo;
+        this.redoEl.disabled = !canRedo;
+    }
+
+    /**
+     * Show the banner offering to resume the saved game
+     * @param quarter   Quarter the saved game was in
+     * @param overtime  Overtime period the saved game was in, 0 during regulation
+     * @param scores    Object with the home and guest scores of the saved game
+     */
+    showSavedGame(quarter, overtime, scores) {
+        const period = formatPeriod(quarter || 1, overtime);
+        this.savedGameTextEl.textContent =
+            `Game in progress found (${period}, ${this.teamNames.home} ${scores.home} - ${this.teamNames.guest} ${scores.guest})`;
+        this.savedGameEl.classList.add("show");
+    }
+
+    /**
+     * Hide the saved game banner
+     */
+    hideSavedGame() {
+        this.savedGameEl.classList.remove("show");
+    }
+
+    /**
+     * Fill the help overlay with the keyboard shortcuts, each with a button to change it
+     * @param keyMap      Array of key bindings, with the key and the description of the action
+     * @param rebinding   Target of the shortcut waiting for its new key, if any
+     */
+    setShortcuts(keyMap, rebinding = null) {
+        const rows = keyMap.map((binding) => {
+            const rowEl = document.createElement("tr");
+            const keyEl = document.createElement("td");
+            if (binding.target === rebinding) {
+                keyEl.textContent = "Press a key...";
+            } else {
+                const kbdEl = document.createElement("kbd");
+                kbdEl.textContent = binding.key === " " ? "Space" : binding.key.toUpperCase();
+                keyEl.appendChild(kbdEl);
+            }
+            const descriptionEl = document.createElement("td");
+            descriptionEl.textContent = binding.description;
+            const actionEl = document.createElement("td");
+            const buttonEl = document.createElement("button");
+            buttonEl.dataset.target = binding.target;
+            buttonEl.textContent = "Change";
+            buttonEl.setAttribute("aria-label", `Change the shortcut of ${binding.description}`);
+            actionEl.appendChild(buttonEl);
+            rowEl.append(keyEl, descriptionEl, actionEl);
+            return rowEl;
+        });
+        this.shortcutsListEl.replaceChildren(...rows);
+    }
+
+    /**
+     * Show the audio settings: cue checkboxes, warning time and mute button
+     * @param settings  Audio settings, as in GameAudio.defaultSettings
+     */
+    setAudioSettings(settings) {
+        document.querySelectorAll(".audio-cue").forEach((inputEl) => {
+            inputEl.checked = settings.cues[inputEl.dataset.cue];
+        });
+        document.getElementById("audio-warning-seconds").value = settings.warningSeconds;
+        const muteEl = document.getElementById("mute-audio");
+        muteEl.textContent = settings.muted ? "Unmute" : "Mute";
+        muteEl.classList.toggle("muted", settings.muted);
+    }
+
+    /**
+     * Fill the game preset selection list in, followed by the "Custom" option
+     * @param presets   Presets, as in GameController.gamePresets
+     */
+    setPresets(presets) {
+        const optionEls = [...Object.entries(presets), ["custom", {label: "Custom"}]].map(([key, preset]) => {
+            const optionEl = document.createElement("option");
+            optionEl.value = key;
+            optionEl.textContent = preset.label;
+            return optionEl;
+        });
+        document.getElementById("game-preset").replaceChildren(...optionEls);
+    }
+
+    /**
+     * Show the keyboard shortcuts help overlay, or hide it if it is shown
+     */
+    toggleShortcutsHelp() {
+        this.shortcutsHelpEl.classList.toggle("show");
+    }
+
+    /**
+     * Hide the keyboard shortcuts help overlay
+     */
+    hideShortcutsHelp() {
+        this.shortcutsHelpEl.classList.remove("show");
+    }
+
+    /**
+     * Set the number of timeouts a team has left
+     * @param team
+     * @param remaining
+     */
+    setTimeouts(team, remaining) {
+        this[`${team}TimeoutsEl`].textContent = remaining.toString();
+    }
+
+    /**
+     * Unhide the team timeout countdown
+     * @param team    Team that called the timeout
+     */
+    showTeamTimeout(team) {
+        this.teamTimeoutTeamEl.textContent = this.teamNames[team].toUpperCase();
+        this.teamTimeoutEl.classList.add("show");
+    }
+
+    /**
+     * Hide the team timeout countdown, once the timeout is over
+     */
+    removeTeamTimeout() {
+        this.teamTimeoutEl.classList.remove("show");
+    }
+
+    /**
+     * Set remaining team timeout time in the countdown DOM element
+     * @param duration
+     */
+    setTeamTimeout(duration) {
+        this.teamTimeoutDurationEl.textContent = duration;
+    }
+
     /**
      * Unhide the Pause timer
      */
@@ -633,6 +3182,83 @@ class GameView {
         this.pauseDurationEl.textContent = duration;
     }
 
+    /**
+     * Have screen readers read a message out, through the live region of the page.
+     * Only what is worth hearing is announced (scores, periods, result): the clocks,
+     * which change ten times per second, are not.
+     * @param text
+     */
+    announce(text) {
+        this.announcerEl.textContent = text;
+    }
+
+    /**
+     * @param scores    Object with the home and guest scores
+     * @returns {string}  The scores, as read out, e.g., "Home 12, Guest 10"
+     */
+    describeScores(scores) {
+        return `${this.teamNames.home} ${scores.home}, ${this.teamNames.guest} ${scores.guest}`;
+    }
+
+    /**
+     * @param quarter
+     * @param overtime    Overtime period number, 0 during regulation
+     * @returns {string}  The period, as read out, e.g., "period 2" or "overtime 1"
+     */
+    describePeriod(quarter, overtime) {
+        return overtime ? `overtime ${overtime}` : `period ${quarter}`;
+    }
+
+    /**
+     * @param scores    Object with the home and guest scores
+     */
+    announceScores(scores) {
+        this.announce(`Score: ${this.describeScores(scores)}`);
+    }
+
+    /**
+     * @param quarter
+     * @param overtime
+     */
+    announcePeriodStart(quarter, overtime) {
+        this.announce(`Start of ${this.describePeriod(quarter, overtime)}`);
+    }
+
+    /**
+     * @param quarter
+     * @param overtime
+     * @param scores    Object with the home and guest scores
+     */
+    announcePeriodEnd(quarter, overtime, scores) {
+        this.announce(`End of ${this.describePeriod(quarter, overtime)}. ${this.describeScores(scores)}`);
+    }
+
+    /**
+     * @param winner    Winner team ("home" or "guest") or "" if no winner
+     * @param scores    Object with the home and guest scores
+     */
+    announceResult(winner, scores) {
+        const result = winner ? `${this.teamNames[winner]} wins` : "Draw";
+        this.announce(`Game over. ${result}, ${this.describeScores(scores)}`);
+    }
+
+    /**
+     * Move the keyboard focus to the result of the game
+     */
+    focusResult() {
+        this.resultEl.focus();
+    }
+
+    /**
+     * Apply the theme: high-contrast, large-type or regular, and tell whether the
+     * high contrast button is pressed
+     * @param theme   Theme settings ({highContrast})
+     */
+    setTheme(theme) {
+        document.documentElement.classList.toggle("high-contrast", theme.highContrast);
+        document.getElementById("toggle-contrast").setAttribute("aria-pressed", theme.highContrast.toString());
+    }
+
     /**
      * Set the error text when user tries to increment scores during pauses or after
      * the game is over
@@ -651,10 +3277,15 @@ class GameView {
         this.errorEl.style.display = "none";
     }
 
-}
-
+    /**
+     * Show whether the page is connected to the scoreboard server
+     * @param connected
+     */
+    setRemoteStatus(connected) {
+        this.remoteStatusEl.textContent = connected
+            ? "Connected to the scoreboard server"
+            : "Not connected to the scoreboard server, retrying...";
+        this.remoteStatusEl.classList.toggle("connected", connected);
+    }
 
-// Let's see the magic at work... Playing is as simple as clicking the New Game
-// button, the controller will do the rest (how nice of him... We should really show
-// how grateful we are! 🙏)
-const gameDispathcer = new GameController();
+}
@@ -0,0 +1,15 @@
+/**
+ * Scoreboard page (scoreboardv2.html)
+ *
+ * Creates the controller of the page, and attaches it to the page. The Model, the
+ * View and the Controller themselves live in game-engine.mjs and index2.js, which
+ * create nothing, so that they can be driven without the page (see the tests).
+ */
+
+import {GameController} from "./index2.js";
+
+// Let's see the magic at work... Playing is as simple as clicking the New Game
+// button, the controller will do the rest (how nice of him... We should really show
+// how grateful we are! 🙏)
+export const gameDispathcer = new GameController();
+gameDispathcer.attach();
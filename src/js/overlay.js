@@ -0,0 +1,127 @@
+/**
+ * Live-stream overlay
+ *
+ * Compact scoreboard with a transparent background, meant to be added as a browser
+ * source in streaming software, on top of the video feed: team names, scores, period
+ * and clock, plus fouls, bonus, shot clock and possession arrow in the full layout.
+ * The layout is chosen with URL parameters:
+ *    - position: bottom-left (default), bottom, bottom-right, top-left, top or top-right
+ *    - layout:   compact (default) or full
+ *
+ * The overlay holds no game logic of its own, it keeps a GameMirror of either:
+ *    - the game of the scoreboard server, when opened with ?server (page served by the
+ *      scoreboard server) or ?server=ws://address:port/ws. This is the way to go for
+ *      streaming software, which runs its own browser;
+ *    - the game of the scorer's table opened in the same browser, which sends it the
+ *      game over the same BroadcastChannel as to the audience display.
+ */
+import {systemClock} from "./game-engine.mjs";
+import {GameMirror, ScoreboardConnection} from "./remote-game.mjs";
+
+class ScoreboardOverlay {
+
+    /**
+     * Positions of the overlay on the video feed
+     * @type {Array<string>}
+     */
+    static positions = ["bottom-left", "bottom", "bottom-right", "top-left", "top", "top-right"];
+
+    /**
+     * Layouts: compact (names, scores, period and clock) or full
+     * @type {Array<string>}
+     */
+    static layouts = ["compact", "full"];
+
+    /**
+     * Name of the channel of the scorer's table (GameController.displayChannelName)
+     * @type {string}
+     */
+    static channelName = "scoreboard.display";
+
+    /**
+     * Applies the layout chosen in the URL, and starts listening to the game
+     */
+    constructor() {
+        const params = new URLSearchParams(window.location.search);
+        const position = params.get("position");
+        const layout = params.get("layout");
+        document.body.classList.add(
+            `position-${ScoreboardOverlay.positions.includes(position) ? position : "bottom-left"}`,
+            `layout-${ScoreboardOverlay.layouts.includes(layout) ? layout : "compact"}`
+        );
+        this.overlayEl = document.getElementById("overlay");
+        this.clockEl = document.getElementById("overlay-clock");
+        this.shotClockEl = document.getElementById("overlay-shot-clock");
+        this.periodEl = document.getElementById("overlay-period");
+        if (params.has("server")) {
+            const url = params.get("server") ||
+                `${window.location.protocol === "https:" ? "wss" : "ws"}://${window.location.host}/ws`;
+            this.connection = new ScoreboardConnection(url, "display", {
+                game: (state) => this.mirror.setState(state),
+                event: (event, eventData) => this.mirror.setState(eventData.state),
+                teams: this.setTeams.bind(this),
+                rejected: () => {},
+                status: () => {},
+            });
+            this.mirror = new GameMirror(this.connection.clock, this.setGame.bind(this));
+        } else if (typeof BroadcastChannel === "function") {
+            // The times of the game are times of the scorer's table
+            this.clockOffset = 0;
+            this.mirror = new GameMirror(
+                {...systemClock, now: () => Date.now() + this.clockOffset}, this.setGame.bind(this)
+            );
+            this.channel = new BroadcastChannel(ScoreboardOverlay.channelName);
+            this.channel.addEventListener("message", this.messageHandler.bind(this));
+            this.channel.postMessage({type: "request"});
+        }
+    }
+
+    /**
+     * Listener for the messages of the scorer's table (same messages as for the
+     * audience display)
+     * @param event The event.data is either {type: "teams", teams} or
+     *              {type: "game", state, sentAt}
+     */
+    messageHandler(event) {
+        if (event.data.type === "teams") {
+            this.setTeams(event.data.teams);
+        } else if (event.data.type === "game") {
+            this.clockOffset = event.data.sentAt - Date.now();
+            this.mirror.setState(event.data.state);
+        }
+    }
+
+    /**
+     * Show the team names and colors
+     * @param teams   Object with the home and guest team settings ({name, color,...})
+     */
+    setTeams(teams) {
+        ["home", "guest"].forEach((team) => {
+            document.getElementById(`${team}-overlay-name`).textContent = teams[team].name;
+            document.getElementById(`${team}-overlay`).style.setProperty("--team-color", teams[team].color);
+        });
+    }
+
+    /**
+     * Show the state of the game
+     * @param game  What the scoreboard shows, as returned by GameModel.getScoreboard()
+     */
+    setGame(game) {
+        this.overlayEl.classList.remove("waiting");
+        this.clockEl.textContent = game.gameOver ? "FINAL" : game.clock;
+        this.clockEl.classList.toggle("stopped", game.clockStopped);
+        this.shotClockEl.textContent = game.gameOver ? "" : game.shotClock;
+        this.periodEl.textContent = game.period;
+        ["home", "guest"].forEach((team) => {
+            const teamEl = document.getElementById(`${team}-overlay`);
+            document.getElementById(`${team}-overlay-score`).textContent = game.scores[team].toString();
+            document.getElementById(`${team}-overlay-fouls`).textContent = game.fouls[team].toString();
+            document.getElementById(`${team}-overlay-bonus`).classList.toggle("show", game.bonus[team]);
+            teamEl.classList.toggle("has-arrow", !game.gameOver && game.possessionArrow === team);
+            teamEl.classList.toggle("is-winner", game.gameOver && game.winner === team);
+        });
+    }
+
+}
+
+const scoreboardOverlay = new ScoreboardOverlay();
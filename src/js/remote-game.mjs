@@ -0,0 +1,324 @@
+//****************************************************************************************
+//*
+//* Remote game: the scoreboard page as a client of the scoreboard server
+//* (server/scoreboard-server.mjs), which hosts the game shared by several operators.
+//*
+//* The connection (ScoreboardConnection) is opened once for the page. Every game the
+//* server starts is mirrored by a RemoteGameModel, which the GameController uses as it
+//* would use a GameModel: it answers questions from its copy of the state, and passes
+//* the actions of the operator on to the server. The events it fires off are the
+//* events of the server's game, so that all the pages show the same game.
+//*
+//* The pages that only show a game played elsewhere (audience display, live-stream
+//* overlay) keep a GameMirror of it, which counts the clock down on its own in between
+//* two snapshots of the game.
+//*
+//****************************************************************************************
+
+import {GameModel, systemClock} from "./game-engine.mjs";
+
+/**
+ * WebSocket connection to the scoreboard server, reopened whenever it is lost.
+ * The messages of the server are passed on to the handlers:
+ *    - game(state):            a game was started, or the page just (re)connected
+ *    - event(event, eventData): an event was fired off by the server's game
+ *    - teams(teams):           the team settings were changed by an operator
+ *    - rejected(message, state): an action of this page was not applied
+ *    - status(connected):      the connection was opened or lost
+ */
+export class ScoreboardConnection {
+
+    /**
+     * Delay before trying to reconnect, in ms
+     * @type {number}
+     */
+    static reconnectDelay = 2000;
+
+    /**
+     * @param url       WebSocket URL of the server, e.g., "ws://192.168.1.10:8080/ws"
+     * @param role      "controller", or "display" for a read-only page
+     * @param handlers  Object with the game, event, teams, rejected and status handlers
+     */
+    constructor(url, role, handlers) {
+        this.url = url;
+        this.role = role;
+        this.handlers = handlers;
+        this.socket = null;
+        // Difference between the clock of the server and the clock of this device, in ms
+        this.clockOffset = 0;
+        // The saved times of the game (clockSyncedAt, breakEndsAt,...) are times of the server
+        this.clock = {...systemClock, now: () => Date.now() + this.clockOffset};
+        this.connect();
+    }
+
+    /**
+     * Open the connection, and introduce the page to the server
+     */
+    connect() {
+        this.socket = new WebSocket(this.url);
+        this.socket.addEventListener("open", () => {
+            this.socket.send(JSON.stringify({type: "hello", role: this.role}));
+            this.handlers.status(true);
+        });
+        this.socket.addEventListener("message", this.messageHandler.bind(this));
+        this.socket.addEventListener("close", () => {
+            this.socket = null;
+            this.handlers.status(false);
+            setTimeout(this.connect.bind(this), ScoreboardConnection.reconnectDelay);
+        });
+    }
+
+    /**
+     * Listener for the messages of the server
+     * @param event The event.data is the message, as JSON
+     */
+    messageHandler(event) {
+        const message = JSON.parse(event.data);
+        this.clockOffset = message.serverTime - Date.now();
+        if (message.type === "game") {
+            this.handlers.game(message.state);
+        } else if (message.type === "event") {
+            this.handlers.event(message.event, message.data);
+        } else if (message.type === "teams") {
+            this.handlers.teams(message.teams);
+        } else if (message.type === "rejected") {
+            this.handlers.rejected(message.message, message.state);
+        }
+    }
+
+    /**
+     * Ask the server to perform an action of the operator. The server answers with
+     * the events of the game, or rejects the action.
+     * @param action  Action, named after the GameModel method (or "startGame", "setTeams")
+     * @param args    Arguments of the action
+     */
+    request(action, args = []) {
+        if (this.isReadOnly()) {
+            return;
+        }
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            this.handlers.rejected("Not connected to the scoreboard server, try again in a moment!", null);
+            return;
+        }
+        this.socket.send(JSON.stringify({type: "action", action: action, args: args}));
+    }
+
+    /**
+     * @returns {boolean}   true for a display page, which cannot act on the game
+     */
+    isReadOnly() {
+        return this.role === "display";
+    }
+
+}
+
+/**
+ * Copy of the game hosted by the scoreboard server.
+ *
+ * The actions of the operator are applied to the copy straight away, so that the
+ * controller gets its answer (new score, foul refused,...) as with a local game, and
+ * are sent to the server. The copy is then replaced by the snapshot carried by each
+ * event of the server's game, i.e., the server always has the last word.
+ *
+ * Only the server's game fires off events: the copy fires none of its own. The
+ * periods and the team timeouts are started and ended by the server, the copy only
+ * counts the clock down in between two events, for the page to show it.
+ */
+export class RemoteGameModel extends GameModel {
+
+    /**
+     * @param specs       Game specifications
+     * @param connection  ScoreboardConnection to the server
+     */
+    constructor(specs, connection) {
+        super(specs, connection.clock);
+        this.connection = connection;
+        // True while an action is being applied to the copy, or while a snapshot is restored
+        this.predicting = false;
+    }
+
+    /**
+     * The copy fires off no events of its own, see receiveEvent()
+     */
+    dispatchEvent() {
+    }
+
+    /**
+     * An event was fired off by the server's game: bring the copy up to date, and
+     * fire the event off to the subscribers of the copy
+     * @param event       Event name
+     * @param eventData   Payload of the event, with the game snapshot (state)
+     */
+    receiveEvent(event, eventData) {
+        const {type, state, ...data} = eventData;
+        this.restoreState(state);
+        super.dispatchEvent(new Event(event), data);
+    }
+
+    /**
+     * Apply an action to the copy, and send it to the server if the copy accepted it
+     * (the server checks it again against its own state)
+     * @param action    Action, named after the GameModel method
+     * @param args      Arguments sent to the server
+     * @param apply     Applies the action to the copy
+     * @param accepted  Tells from the result whether the copy accepted the action
+     * @returns {*}     The result of the action on the copy
+     */
+    forward(action, args, apply, accepted = (result) => result !== null && result !== false && result !== undefined) {
+        // Actions applied as part of another one (callTimeout stops the clock) are not sent
+        const nested = this.predicting;
+        this.predicting = true;
+        let result;
+        try {
+            result = apply();
+        } finally {
+            this.predicting = nested;
+        }
+        if (!nested && accepted(result)) {
+            this.connection.request(action, args);
+        }
+        return result;
+    }
+
+    /**
+     * @param state   Game snapshot of the server
+     */
+    restoreState(state) {
+        // Restoring the rosters is no action of the operator
+        this.predicting = true;
+        try {
+            super.restoreState(state);
+        } finally {
+            this.predicting = false;
+        }
+    }
+
+    setRosters(rosters) {
+        super.setRosters(rosters);
+        if (!this.predicting) {
+            this.connection.request("setRosters", [rosters]);
+        }
+    }
+
+    updateScore(team, points, player = null) {
+        return this.forward("updateScore", [team, points, player], () => super.updateScore(team, points, player));
+    }
+
+    updateFouls(team, player) {
+        return this.forward("updateFouls", [team, player], () => super.updateFouls(team, player));
+    }
+
+    /**
+     * The server is sent the entry to undo, so that it does not undo the action that
+     * another operator recorded in the meantime
+     */
+    undo() {
+        const entry = this.playLog[this.playLog.length - 1];
+        return this.forward("undo", [entry && entry.timestamp], () => super.undo());
+    }
+
+    redo() {
+        const entry = this.redoStack[this.redoStack.length - 1];
+        return this.forward("redo", [entry && entry.timestamp], () => super.redo());
+    }
+
+    /**
+     * The shot clock is reset even when it is turned off (null)
+     */
+    resetShotClock(offensive = false) {
+        return this.forward(
+            "resetShotClock", [offensive], () => super.resetShotClock(offensive), (result) => result !== undefined
+        );
+    }
+
+    stopClock() {
+        return this.forward("stopClock", [], () => super.stopClock());
+    }
+
+    restartClock() {
+        return this.forward("restartClock", [], () => super.restartClock());
+    }
+
+    adjustTimer(seconds) {
+        return this.forward("adjustTimer", [seconds], () => super.adjustTimer(seconds));
+    }
+
+    callTimeout(team) {
+        return this.forward("callTimeout", [team], () => super.callTimeout(team));
+    }
+
+    setPossessionArrow(team) {
+        return this.forward("setPossessionArrow", [team], () => super.setPossessionArrow(team));
+    }
+
+    recordJumpBall() {
+        return this.forward("recordJumpBall", [], () => super.recordJumpBall());
+    }
+
+    /**
+     * Periods are started by the server, once the break is over
+     */
+    newQuarter() {
+    }
+
+    /**
+     * Team timeouts are ended by the server
+     */
+    endTimeout() {
+    }
+
+}
+
+/**
+ * Read-only copy of a game played elsewhere: on the scoreboard server, or at the
+ * scorer's table opened in the same browser. It is given a snapshot of the game
+ * whenever something happens in the game, and counts the clocks down in between, from
+ * the time the snapshot was taken (clockSyncedAt).
+ */
+export class GameMirror {
+
+    /**
+     * @param clock     Clock whose now() is the time of the page playing the game
+     *                  (e.g. ScoreboardConnection.clock)
+     * @param onChange  Called with what the scoreboard shows (GameModel.getScoreboard()),
+     *                  whenever it changes
+     */
+    constructor(clock, onChange) {
+        this.clock = clock;
+        this.onChange = onChange;
+        this.model = null;
+        this.tickInterval = null;
+        this.lastTick = 0;
+    }
+
+    /**
+     * A snapshot of the game was received: copy it, and take the time elapsed since
+     * the snapshot was taken off the clocks if they are running
+     * @param state   Game state snapshot
+     */
+    setState(state) {
+        this.model = new GameModel(state.specs, this.clock);
+        this.model.restoreState(state);
+        if (!this.model.isPaused() && !this.model.isOver()) {
+            this.model.updateTimer((this.clock.now() - state.clockSyncedAt) / 1000);
+        }
+        this.onChange(this.model.getScoreboard());
+        if (!this.tickInterval) {
+            this.lastTick = this.clock.elapsed();
+            this.tickInterval = this.clock.setInterval(this.tickClock.bind(this), 100);
+        }
+    }
+
+    /**
+     * Count the clocks of the copy down while they run
+     */
+    tickClock() {
+        const now = this.clock.elapsed();
+        if (!this.model.isPaused() && !this.model.isOver()) {
+            this.model.updateTimer((now - this.lastTick) / 1000);
+            this.onChange(this.model.getScoreboard());
+        }
+        this.lastTick = now;
+    }
+
+}
@@ -0,0 +1,14 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {Script} from "node:vm";
+import {buildBundles} from "../scripts/build.mjs";
+
+describe("Page bundles", () => {
+
+    it("are classic scripts, which pages opened from the disk can load", async () => {
+        for (const {outfile, text} of await buildBundles(false)) {
+            assert.doesNotThrow(() => new Script(text, {filename: outfile}), `${outfile} is not a classic script`);
+        }
+    });
+
+});
@@ -0,0 +1,67 @@
+/**
+ * Fake clock, in place of systemClock: time only moves when the test advances it,
+ * and the timers due in the meantime are run in order
+ */
+export class FakeClock {
+
+    constructor() {
+        this.time = 0;
+        this.timers = [];
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    elapsed() {
+        return this.time;
+    }
+
+    setTimeout(callback, delay) {
+        return this.addTimer(callback, delay, null);
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter((timer) => timer.id !== id);
+    }
+
+    setInterval(callback, delay) {
+        return this.addTimer(callback, delay, delay);
+    }
+
+    clearInterval(id) {
+        this.clearTimeout(id);
+    }
+
+    addTimer(callback, delay, every) {
+        const timer = {id: this.nextId++, at: this.time + delay, callback, every};
+        this.timers.push(timer);
+        return timer.id;
+    }
+
+    /**
+     * Let time pass, running the timers that are due
+     * @param ms  Number of milliseconds
+     */
+    advance(ms) {
+        const end = this.time + ms;
+        for (;;) {
+            const timer = this.timers
+                .filter((candidate) => candidate.at <= end)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!timer) {
+                break;
+            }
+            this.time = timer.at;
+            if (timer.every) {
+                timer.at += timer.every;
+            } else {
+                this.clearTimeout(timer.id);
+            }
+            timer.callback();
+        }
+        this.time = end;
+    }
+
+}
@@ -0,0 +1,233 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {GameController} from "../src/js/index2.js";
+import {GameModel, GameReport, Season} from "../src/js/game-engine.mjs";
+import {FakeClock} from "./fake-clock.mjs";
+
+const specs = {
+    quarters: 4, quarterDuration: 60, timeOut: 10, halftime: 30,
+    foulPeriod: "quarter", bonusThreshold: 5, foulLimit: 5,
+    overtime: true, overtimeDuration: 30, shotClock: 24, shotClockOffensive: 14,
+    teamTimeouts: 2, teamTimeoutPeriod: "half", teamTimeoutDuration: 60,
+    possessionRule: "none", mode: "standard",
+};
+
+/**
+ * View that records the calls of the controller, in place of the GameView of the page
+ */
+function createView() {
+    const calls = [];
+    return new Proxy({calls}, {
+        get: (view, name) => name in view
+            ? view[name]
+            : (...args) => {
+                calls.push({name, args});
+                return name === "getSelectedPlayer" ? "" : undefined;
+            },
+    });
+}
+
+/**
+ * Controller driven without the page, on a fake clock
+ */
+function createController() {
+    const clock = new FakeClock();
+    const controller = new GameController(GameController.defaultKeyMap, clock, createView);
+    return {clock, controller};
+}
+
+/**
+ * Messages of the error calls made on a view
+ */
+function errors(view) {
+    return view.calls.filter((call) => call.name === "setError").map((call) => call.args[0]);
+}
+
+/**
+ * Click event on a button of the scoreboard
+ */
+function click(id) {
+    return {currentTarget: {getAttribute: () => id}};
+}
+
+describe("GameController.startGame", () => {
+
+    it("starts a game with the given specifications", () => {
+        const {clock, controller} = createController();
+        assert.equal(controller.startGame(specs), true);
+        clock.advance(1000);
+        assert.equal(controller.model.quarter, 1);
+        assert.equal(controller.model.nrQuarters, 4);
+        assert.notEqual(controller.timerInterval, null);
+    });
+
+    it("keeps the game in progress when the specifications are out of range", () => {
+        const {clock, controller} = createController();
+        controller.startGame(specs);
+        clock.advance(1000);
+        const {model, view} = controller;
+        assert.equal(controller.startGame({...specs, quarterDuration: 5}), false);
+        assert.equal(controller.model, model);
+        assert.match(errors(view)[0], /Period duration/);
+    });
+
+    it("resets the scores, the timers and the previous game", () => {
+        const {clock, controller} = createController();
+        controller.startGame(specs);
+        clock.advance(1000);
+        controller.incrementScore(click("home-3"));
+        clock.advance(60000);
+        // Break in between the first two quarters
+        assert.notEqual(controller.pauseInterval, null);
+        const previousModel = controller.model;
+        const previousView = controller.view;
+
+        assert.equal(controller.startGame({...specs, quarters: 2}), true);
+        assert.notEqual(controller.model, previousModel);
+        assert.notEqual(controller.view, previousView);
+        assert.equal(controller.pauseInterval, null);
+        assert.equal(controller.timerInterval, null);
+        assert.deepEqual(controller.model.getScoreboard().scores, {home: 0, guest: 0});
+        assert.equal(controller.model.nrQuarters, 2);
+
+        // The previous game is over and done with: its break does not start a quarter
+        clock.advance(1000);
+        assert.equal(controller.model.quarter, 1);
+        clock.advance(9000);
+        assert.equal(previousModel.quarter, 1);
+        assert.equal(controller.model.quarter, 1);
+        assert.equal(controller.model.timer < 60, true);
+    });
+
+});
+
+describe("GameController.incrementScore", () => {
+
+    it("freezes the score before the first quarter", () => {
+        const {controller} = createController();
+        controller.startGame(specs);
+        controller.incrementScore(click("home-2"));
+        assert.deepEqual(errors(controller.view), ["Game is paused, score is frozen until game resumes!"]);
+        assert.equal(controller.model.getScoreboard().scores.home, 0);
+    });
+
+    it("freezes the score while the clock is stopped", () => {
+        const {clock, controller} = createController();
+        controller.startGame(specs);
+        clock.advance(1000);
+        controller.incrementScore(click("guest-2"));
+        controller.toggleClock();
+        controller.incrementScore(click("guest-2"));
+        assert.deepEqual(errors(controller.view), ["Game is paused, score is frozen until game resumes!"]);
+        assert.equal(controller.model.getScoreboard().scores.guest, 2);
+    });
+
+    it("freezes the score in between quarters", () => {
+        const {clock, controller} = createController();
+        controller.startGame(specs);
+        clock.advance(61000);
+        assert.equal(controller.model.isPaused(), true);
+        controller.incrementScore(click("home-1"));
+        assert.deepEqual(errors(controller.view), ["Game is paused, score is frozen until game resumes!"]);
+        clock.advance(10000);
+        controller.incrementScore(click("home-1"));
+        assert.equal(controller.model.getScoreboard().scores.home, 1);
+    });
+
+    it("refuses scores once the game is over", () => {
+        const {clock, controller} = createController();
+        controller.startGame({...specs, quarters: 1, overtime: false});
+        clock.advance(61000);
+        assert.equal(controller.model.isOver(), true);
+        controller.incrementScore(click("home-1"));
+        assert.deepEqual(errors(controller.view), ["Game is over, wake up..."]);
+        assert.equal(controller.model.getScoreboard().scores.home, 0);
+    });
+
+});
+
+describe("GameController.undo", () => {
+
+    it("takes back the result of the fixture when the game-ending basket is undone", () => {
+        const {clock, controller} = createController();
+        controller.season = new Season({teams: ["Bears", "Wolves"]});
+        const fixture = controller.season.addFixture("Bears", "Wolves", specs);
+        controller.startGame({...specs, mode: "3x3", quarters: 1, quarterDuration: 600});
+        controller.season.startFixture(fixture.id);
+        clock.advance(1000);
+        for (let basket = 0; basket < 10; basket++) {
+            controller.incrementScore(click("home-2"));
+        }
+        controller.incrementScore(click("home-1"));
+        assert.equal(controller.model.isOver(), true);
+        assert.deepEqual(fixture.result, {home: 21, guest: 0, playedAt: clock.now()});
+
+        controller.undo();
+        assert.equal(controller.model.isOver(), false);
+        assert.equal(fixture.result, null);
+        assert.equal(controller.season.liveFixtureId, fixture.id);
+        assert.deepEqual(errors(controller.view), []);
+        assert.equal(controller.view.calls.some((call) => call.name === "resetWinner"), true);
+
+        // The game ends again, and its result is recorded again
+        controller.toggleClock();
+        controller.incrementScore(click("home-1"));
+        assert.equal(controller.model.isOver(), true);
+        assert.equal(fixture.result.home, 21);
+    });
+
+});
+
+describe("GameController.importGame", () => {
+
+    /**
+     * Change event of the file input, for a file with the given content
+     */
+    function fileChosen(text) {
+        return {currentTarget: {files: [{text: async () => text}], value: "game.json"}};
+    }
+
+    /**
+     * JSON export of a finished game
+     */
+    function exportedGame() {
+        const clock = new FakeClock();
+        const model = new GameModel({...specs, quarters: 1, overtime: false}, clock);
+        model.startGame();
+        clock.advance(1000);
+        model.updateScore("guest", 2);
+        model.updateTimer(60);
+        return model.getState();
+    }
+
+    it("does not let a game imported for review be reopened", async () => {
+        const {clock, controller} = createController();
+        // No specification inputs without the page
+        controller.setGameSpecs = () => {};
+        const model = new GameModel({...specs, mode: "3x3", quarters: 1, quarterDuration: 600}, clock);
+        model.startGame();
+        clock.advance(1000);
+        for (let basket = 0; basket < 10; basket++) {
+            model.updateScore("home", 2);
+        }
+        model.updateScore("home", 1);
+        assert.equal(model.isOver(), true);
+        const report = {teams: {home: {name: "Bears"}, guest: {name: "Wolves"}}, ...model.getState()};
+        await controller.importGame(fileChosen(GameReport.toJSON(report)));
+        assert.deepEqual(errors(controller.view), []);
+        controller.undo();
+        assert.deepEqual(errors(controller.view), ["Game is over, the result can no longer be changed!"]);
+        assert.equal(controller.model.isOver(), true);
+        assert.equal(controller.model.getScoreboard().scores.home, 21);
+    });
+
+    it("tells the user when the file is damaged", async () => {
+        const {controller} = createController();
+        const state = exportedGame();
+        state.playLog[0].quarter = 3;
+        await controller.importGame(fileChosen(GameReport.toJSON(state)));
+        assert.deepEqual(errors(controller.view), ["This file is damaged, the play-by-play log cannot be read!"]);
+        assert.equal(controller.reviewedReport, null);
+    });
+
+});
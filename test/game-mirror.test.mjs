@@ -0,0 +1,52 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {GameModel} from "../src/js/game-engine.mjs";
+import {GameMirror} from "../src/js/remote-game.mjs";
+import {FakeClock} from "./fake-clock.mjs";
+
+const specs = {
+    quarters: 4, quarterDuration: 60, timeOut: 10, halftime: 30,
+    foulPeriod: "quarter", bonusThreshold: 5, foulLimit: 5,
+    overtime: true, overtimeDuration: 30, shotClock: 24, shotClockOffensive: 14,
+    teamTimeouts: 2, teamTimeoutPeriod: "half", teamTimeoutDuration: 60,
+    possessionRule: "none", mode: "standard",
+};
+
+describe("GameMirror", () => {
+
+    it("counts the clocks down on its own in between two snapshots", () => {
+        const clock = new FakeClock();
+        const model = new GameModel(specs, clock);
+        model.startGame();
+        clock.advance(1000);
+        model.updateScore("home", 2);
+        const shown = [];
+        const mirror = new GameMirror(clock, (game) => shown.push(game));
+        const state = model.getState();
+
+        // The snapshot is received half a second after it was taken
+        clock.advance(500);
+        mirror.setState(state);
+        assert.equal(shown.at(-1).clockSeconds, 59.5);
+        assert.deepEqual(shown.at(-1).scores, {home: 2, guest: 0});
+        clock.advance(10000);
+        assert.equal(shown.at(-1).clockSeconds, 49.5);
+        assert.equal(shown.at(-1).shotClockSeconds, 13.5);
+    });
+
+    it("leaves the clocks alone while the game is paused", () => {
+        const clock = new FakeClock();
+        const model = new GameModel(specs, clock);
+        model.startGame();
+        clock.advance(1000);
+        model.stopClock();
+        const shown = [];
+        const mirror = new GameMirror(clock, (game) => shown.push(game));
+        mirror.setState(model.getState());
+        clock.advance(5000);
+        assert.equal(shown.length, 1);
+        assert.equal(shown[0].clockSeconds, 60);
+        assert.equal(shown[0].clockStopped, true);
+    });
+
+});
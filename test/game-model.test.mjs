@@ -0,0 +1,399 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {GameModel} from "../src/js/game-engine.mjs";
+import {FakeClock} from "./fake-clock.mjs";
+
+const specs = {
+    quarters: 4, quarterDuration: 60, timeOut: 10, halftime: 30,
+    foulPeriod: "quarter", bonusThreshold: 5, foulLimit: 5,
+    overtime: true, overtimeDuration: 30, shotClock: 24, shotClockOffensive: 14,
+    teamTimeouts: 2, teamTimeoutPeriod: "half", teamTimeoutDuration: 60,
+    possessionRule: "none", mode: "standard",
+};
+
+/**
+ * Game started, with its first quarter under way, and the events it fired off
+ */
+function startGame(overrides = {}) {
+    const clock = new FakeClock();
+    const model = new GameModel({...specs, ...overrides}, clock);
+    const events = [];
+    ["quarterStarted", "quarterEnded", "gameEnded"].forEach((name) => {
+        model.registerEventCallback(name, (event, eventData) => events.push(eventData));
+    });
+    model.startGame();
+    clock.advance(1000);
+    return {clock, model, events};
+}
+
+/**
+ * Run the clock down to the end of the period, then through the break
+ */
+function playPeriod(model) {
+    model.updateTimer(model.timer);
+    if (!model.isOver()) {
+        model.newQuarter();
+    }
+}
+
+describe("GameModel.validateSpecs", () => {
+
+    it("accepts the specifications of the page", () => {
+        assert.equal(GameModel.validateSpecs(specs), null);
+        assert.equal(GameModel.validateSpecs({...specs, mode: "3x3", quarters: 1}), null);
+    });
+
+    it("tells what is wrong with the specifications", () => {
+        assert.equal(
+            GameModel.validateSpecs({...specs, overtimeDuration: 5}),
+            "Overtime duration must be a whole number from 15 to 600!"
+        );
+        assert.equal(GameModel.validateSpecs({...specs, mode: "3x3"}), "3x3 games are played in a single period!");
+        assert.equal(GameModel.validateSpecs({...specs, teamTimeoutPeriod: "quarter"}), "Invalid game specifications!");
+        assert.equal(GameModel.validateSpecs({...specs, overtime: "yes"}), "Invalid game specifications!");
+    });
+
+});
+
+describe("GameModel quarters", () => {
+
+    it("starts the first quarter one second after the game starts", () => {
+        const clock = new FakeClock();
+        const model = new GameModel(specs, clock);
+        model.startGame();
+        clock.advance(999);
+        assert.equal(model.quarter, 0);
+        assert.equal(model.isPaused(), true);
+        clock.advance(1);
+        assert.equal(model.quarter, 1);
+        assert.equal(model.timer, 60);
+        assert.equal(model.isPaused(), false);
+    });
+
+    it("ends the quarter when the clock runs out, with the break in between quarters", () => {
+        const {clock, model, events} = startGame();
+        model.updateTimer(59.5);
+        assert.equal(model.quarter, 1);
+        model.updateTimer(0.5);
+        assert.deepEqual(events.map((event) => event.type), ["quarterStarted", "quarterEnded"]);
+        assert.equal(events[1].pauseDuration, 10);
+        assert.equal(model.isPaused(), true);
+        assert.equal(model.breakEndsAt, clock.now() + 10000);
+        model.newQuarter();
+        assert.equal(model.quarter, 2);
+        assert.equal(model.timer, 60);
+        assert.equal(model.isPaused(), false);
+    });
+
+    it("has the half time break after the second quarter", () => {
+        const {model, events} = startGame();
+        playPeriod(model);
+        model.updateTimer(60);
+        assert.equal(events.at(-1).type, "quarterEnded");
+        assert.equal(events.at(-1).pauseDuration, 30);
+    });
+
+    it("resets the team fouls with each quarter", () => {
+        const {model} = startGame();
+        model.updateFouls("home", "7");
+        assert.equal(model.getScoreboard().fouls.home, 1);
+        playPeriod(model);
+        assert.equal(model.getScoreboard().fouls.home, 0);
+    });
+
+    it("freezes the clock while it is stopped", () => {
+        const {model} = startGame();
+        model.stopClock();
+        assert.equal(model.updateTimer(10), 60);
+        model.restartClock();
+        assert.equal(model.updateTimer(10), 50);
+    });
+
+});
+
+describe("GameModel game end", () => {
+
+    it("ends the game after the last quarter, with the winner", () => {
+        const {model, events} = startGame();
+        model.updateScore("guest", 3);
+        model.updateScore("home", 2);
+        for (let quarter = 1; quarter < 4; quarter++) {
+            playPeriod(model);
+        }
+        assert.equal(model.quarter, 4);
+        model.updateTimer(60);
+        assert.equal(model.isOver(), true);
+        assert.equal(model.getWinner(), "guest");
+        const gameEnded = events.at(-1);
+        assert.equal(gameEnded.type, "gameEnded");
+        assert.equal(gameEnded.winner, "guest");
+        assert.deepEqual(gameEnded.state.scores, {home: 2, guest: 3});
+    });
+
+    it("plays overtime when the scores are level", () => {
+        const {model, events} = startGame();
+        for (let quarter = 1; quarter < 4; quarter++) {
+            playPeriod(model);
+        }
+        model.updateTimer(60);
+        assert.equal(model.isOver(), false);
+        assert.equal(events.at(-1).type, "quarterEnded");
+        model.newQuarter();
+        assert.equal(model.quarter, 5);
+        assert.equal(model.getOvertime(), 1);
+        assert.equal(model.timer, 30);
+        model.updateScore("home", 1);
+        model.updateTimer(30);
+        assert.equal(model.isOver(), true);
+        assert.equal(events.at(-1).winner, "home");
+    });
+
+    it("ends in a draw when no overtime is played", () => {
+        const {model} = startGame({overtime: false});
+        for (let quarter = 1; quarter <= 4; quarter++) {
+            playPeriod(model);
+        }
+        assert.equal(model.isOver(), true);
+        assert.equal(model.getWinner(), "");
+    });
+
+    it("ends a 3x3 game as soon as a team reaches the score limit", () => {
+        const {model, events} = startGame({mode: "3x3", quarters: 1, quarterDuration: 600});
+        for (let basket = 0; basket < 10; basket++) {
+            model.updateScore("home", 2);
+        }
+        assert.equal(model.isOver(), false);
+        model.updateScore("home", 1);
+        assert.equal(model.isOver(), true);
+        assert.equal(events.at(-1).type, "gameEnded");
+        assert.equal(events.at(-1).winner, "home");
+        assert.equal(model.timer > 0, true);
+    });
+
+    it("reopens a 3x3 game when the basket that ended it is undone", () => {
+        const {model, events} = startGame({mode: "3x3", quarters: 1, quarterDuration: 600});
+        const reopened = [];
+        model.registerEventCallback("gameReopened", (event, eventData) => reopened.push(eventData));
+        for (let basket = 0; basket < 10; basket++) {
+            model.updateScore("home", 2);
+        }
+        model.updateScore("home", 1);
+        assert.equal(model.canUndo(), true);
+        assert.equal(model.canRedo(), false);
+
+        assert.equal(model.undo().points, 1);
+        assert.equal(model.isOver(), false);
+        assert.equal(model.isClockStopped(), true);
+        assert.equal(reopened.length, 1);
+        assert.equal(model.getScoreboard().scores.home, 20);
+        // The game goes on once the officials restart the clock
+        model.restartClock();
+        model.updateTimer(10);
+        assert.equal(model.timer < 600, true);
+
+        model.redo();
+        assert.equal(model.isOver(), true);
+        assert.equal(events.filter((event) => event.type === "gameEnded").length, 2);
+    });
+
+    it("does not reopen a game that ended with the clock", () => {
+        const {model} = startGame({overtime: false});
+        model.updateScore("home", 2);
+        for (let quarter = 1; quarter <= 4; quarter++) {
+            playPeriod(model);
+        }
+        assert.equal(model.isOver(), true);
+        assert.equal(model.canUndo(), false);
+        assert.equal(model.undo(), null);
+        assert.equal(model.isOver(), true);
+    });
+
+});
+
+describe("GameModel fouls", () => {
+
+    it("puts the other team in the bonus from the bonus threshold on", () => {
+        const {model} = startGame();
+        for (let foul = 1; foul <= 4; foul++) {
+            model.updateFouls("guest", String(foul));
+        }
+        assert.equal(model.isInBonus("guest"), false);
+        assert.equal(model.updateFouls("guest", "9"), 5);
+        assert.equal(model.isInBonus("guest"), true);
+        assert.equal(model.isInBonus("home"), false);
+    });
+
+    it("fouls players out at the personal fouls limit", () => {
+        const {model} = startGame();
+        const fouls = [];
+        model.registerEventCallback("foulCommitted", (event, eventData) => fouls.push(eventData));
+        for (let foul = 1; foul <= 5; foul++) {
+            model.updateFouls("home", "7");
+        }
+        assert.equal(fouls.at(-1).playerFouls, 5);
+        assert.equal(fouls.at(-1).fouledOut, true);
+        assert.equal(model.updateFouls("home", "7"), null);
+        assert.equal(model.getScoreboard().fouls.home, 5);
+        assert.equal(model.playLog.length, 5);
+    });
+
+    it("never fouls players out without a personal fouls limit", () => {
+        const {model} = startGame({foulLimit: 0});
+        for (let foul = 1; foul <= 6; foul++) {
+            model.updateFouls("home", "7");
+        }
+        assert.equal(model.hasFouledOut("home", "7"), false);
+        assert.equal(model.getScoreboard().fouls.home, 6);
+    });
+
+    it("resets the team fouls with each half, and carries them over into overtime", () => {
+        const {model} = startGame({foulPeriod: "half"});
+        model.updateFouls("home", "7");
+        playPeriod(model);
+        assert.equal(model.getScoreboard().fouls.home, 1);
+        playPeriod(model);
+        assert.equal(model.getScoreboard().fouls.home, 0);
+        playPeriod(model);
+        model.updateFouls("guest", "4");
+        playPeriod(model);
+        assert.equal(model.getOvertime(), 1);
+        assert.equal(model.getScoreboard().fouls.guest, 1);
+    });
+
+    it("leaves the team fouls of the period alone when a foul of a previous period is undone", () => {
+        const {model} = startGame();
+        model.updateFouls("home", "7");
+        playPeriod(model);
+        model.updateScore("guest", 2);
+        model.undo();
+        model.updateFouls("home", "8");
+        model.undo();
+        model.undo();
+        assert.equal(model.getScoreboard().fouls.home, 0);
+        assert.equal(model.hasFouledOut("home", "7"), false);
+        assert.deepEqual(model.playLog, []);
+    });
+
+});
+
+describe("GameModel shot clock", () => {
+
+    it("runs with the game clock, and fires off a violation when it runs out", () => {
+        const {model} = startGame();
+        const violations = [];
+        model.registerEventCallback("shotClockViolation", (event, eventData) => violations.push(eventData));
+        model.updateTimer(10);
+        assert.equal(model.getShotClock(), 14);
+        model.updateTimer(14);
+        assert.equal(model.getShotClock(), 0);
+        assert.deepEqual(violations.map((violation) => violation.timer), [36]);
+    });
+
+    it("is reset to its full or offensive rebound duration", () => {
+        const {model} = startGame();
+        model.updateTimer(20);
+        assert.equal(model.resetShotClock(true), 14);
+        assert.equal(model.resetShotClock(), 24);
+    });
+
+    it("is turned off when less time remains on the game clock", () => {
+        const {model} = startGame();
+        model.updateTimer(40);
+        assert.equal(model.resetShotClock(), null);
+        assert.equal(model.getScoreboard().shotClockSeconds, null);
+    });
+
+    it("cannot be reset in between quarters", () => {
+        const {model} = startGame();
+        model.updateTimer(60);
+        assert.equal(model.resetShotClock(), undefined);
+    });
+
+});
+
+describe("GameModel possession arrow", () => {
+
+    it("awards held balls to the team of the arrow, and flips it", () => {
+        const {model} = startGame({possessionRule: "period"});
+        assert.equal(model.recordJumpBall(), null);
+        model.setPossessionArrow("home");
+        assert.equal(model.recordJumpBall(), "home");
+        assert.equal(model.possessionArrow, "guest");
+        assert.equal(model.jumpBalls.length, 1);
+    });
+
+    it("flips the arrow at the start of every period", () => {
+        const {model} = startGame({possessionRule: "period"});
+        model.setPossessionArrow("home");
+        playPeriod(model);
+        assert.equal(model.possessionArrow, "guest");
+        playPeriod(model);
+        assert.equal(model.possessionArrow, "home");
+    });
+
+    it("flips the arrow only at the start of the second half with the half rule", () => {
+        const {model} = startGame({possessionRule: "half"});
+        model.setPossessionArrow("home");
+        playPeriod(model);
+        assert.equal(model.possessionArrow, "home");
+        playPeriod(model);
+        assert.equal(model.possessionArrow, "guest");
+    });
+
+    it("has no arrow when jump balls are contested", () => {
+        const {model} = startGame({possessionRule: "none"});
+        assert.equal(model.usesPossessionArrow(), false);
+        assert.equal(model.setPossessionArrow("home"), false);
+        assert.equal(model.recordJumpBall(), null);
+    });
+
+});
+
+describe("GameModel team timeouts", () => {
+
+    it("stops the clock for the timeout, one timeout at a time", () => {
+        const {model} = startGame();
+        assert.equal(model.callTimeout("home"), true);
+        assert.equal(model.isClockStopped(), true);
+        assert.equal(model.isTimeoutInProgress(), true);
+        assert.equal(model.getTimeouts("home"), 1);
+        assert.equal(model.callTimeout("guest"), false);
+        model.endTimeout();
+        assert.equal(model.isTimeoutInProgress(), false);
+        // The clock stays stopped until the officials restart it
+        assert.equal(model.isClockStopped(), true);
+        assert.equal(model.callTimeout("guest"), true);
+    });
+
+    it("gives the timeouts allowance back with each half", () => {
+        const {model} = startGame();
+        model.callTimeout("home");
+        model.endTimeout();
+        model.callTimeout("home");
+        model.endTimeout();
+        assert.equal(model.callTimeout("home"), false);
+        model.restartClock();
+        playPeriod(model);
+        assert.equal(model.getTimeouts("home"), 0);
+        playPeriod(model);
+        assert.equal(model.getTimeouts("home"), 2);
+    });
+
+    it("gives the timeouts allowance once per game with the game rule", () => {
+        const {model} = startGame({teamTimeoutPeriod: "game"});
+        model.callTimeout("guest");
+        model.endTimeout();
+        model.restartClock();
+        playPeriod(model);
+        playPeriod(model);
+        assert.equal(model.getTimeouts("guest"), 1);
+    });
+
+    it("cannot be called in between quarters", () => {
+        const {model} = startGame();
+        model.updateTimer(60);
+        assert.equal(model.callTimeout("home"), false);
+        assert.equal(model.getTimeouts("home"), 2);
+    });
+
+});
@@ -0,0 +1,98 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {GameModel, GameReplay} from "../src/js/game-engine.mjs";
+import {FakeClock} from "./fake-clock.mjs";
+
+const specs = {
+    quarters: 4, quarterDuration: 60, timeOut: 10, halftime: 30,
+    foulPeriod: "quarter", bonusThreshold: 5, foulLimit: 5,
+    overtime: true, overtimeDuration: 30, shotClock: 24, shotClockOffensive: 14,
+    teamTimeouts: 2, teamTimeoutPeriod: "half", teamTimeoutDuration: 60,
+    possessionRule: "none", mode: "standard",
+};
+
+/**
+ * Game started, with its first quarter under way
+ */
+function startGame(overrides = {}) {
+    const clock = new FakeClock();
+    const model = new GameModel({...specs, ...overrides}, clock);
+    model.startGame();
+    clock.advance(1000);
+    return {clock, model};
+}
+
+/**
+ * Run the clock down to the end of the period, then through the break
+ */
+function playPeriod(model) {
+    model.updateTimer(model.timer);
+    if (!model.isOver()) {
+        model.newQuarter();
+    }
+}
+
+describe("GameReplay", () => {
+
+    it("shows the game as it was at a moment of the game", () => {
+        const {model} = startGame({overtime: false});
+        model.updateTimer(10);
+        model.updateScore("home", 2, "7");
+        playPeriod(model);
+        model.updateTimer(30);
+        model.updateScore("guest", 3);
+        playPeriod(model);
+        playPeriod(model);
+        playPeriod(model);
+        const replay = new GameReplay(model.getState());
+        assert.equal(replay.duration, 240);
+
+        const firstQuarter = replay.getModelAt(30);
+        assert.equal(firstQuarter.quarter, 1);
+        assert.equal(firstQuarter.timer, 30);
+        assert.deepEqual(firstQuarter.getScoreboard().scores, {home: 2, guest: 0});
+        assert.equal(firstQuarter.isOver(), false);
+
+        const secondQuarter = replay.getModelAt(90);
+        assert.equal(secondQuarter.quarter, 2);
+        assert.deepEqual(secondQuarter.getScoreboard().scores, {home: 2, guest: 3});
+        assert.equal(replay.getModelAt(240).isOver(), true);
+        assert.deepEqual(replay.getPeriodAt(90), {quarter: 2, overtime: 0, clock: 30});
+    });
+
+    it("marks the lead changes and the scoring runs", () => {
+        const {model} = startGame();
+        model.updateScore("home", 2);
+        model.updateScore("guest", 3);
+        [3, 3, 2].forEach((points) => model.updateScore("home", points));
+        const markers = new GameReplay(model.getState()).getMarkers();
+        assert.deepEqual(markers.map((marker) => [marker.type, marker.team]), [
+            ["leadChange", "guest"], ["leadChange", "home"], ["run", "home"],
+        ]);
+        assert.equal(markers[2].points, 8);
+        assert.deepEqual(markers[2].scores, {home: 10, guest: 3});
+    });
+
+    it("stays in the last period when overtime no longer follows regulation", () => {
+        const {model} = startGame();
+        model.updateScore("home", 2);
+        for (let quarter = 1; quarter < 4; quarter++) {
+            playPeriod(model);
+        }
+        model.updateScore("guest", 2);
+        playPeriod(model);
+        assert.equal(model.getOvertime(), 1);
+        // The basket that tied the game is taken back during overtime
+        model.undo();
+        model.updateScore("home", 1);
+        model.updateTimer(30);
+        assert.equal(model.isOver(), true);
+
+        const replay = new GameReplay(model.getState());
+        const moment = replay.getModelAt(replay.duration);
+        assert.equal(moment.isOver(), true);
+        assert.equal(moment.quarter, 4);
+        assert.deepEqual(moment.getScoreboard().scores, {home: 3, guest: 0});
+    });
+
+});
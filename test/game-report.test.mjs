@@ -0,0 +1,97 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {GameModel, GameReport} from "../src/js/game-engine.mjs";
+import {FakeClock} from "./fake-clock.mjs";
+
+const specs = {
+    quarters: 4, quarterDuration: 60, timeOut: 10, halftime: 30,
+    foulPeriod: "quarter", bonusThreshold: 5, foulLimit: 5,
+    overtime: true, overtimeDuration: 30, shotClock: 24, shotClockOffensive: 14,
+    teamTimeouts: 2, teamTimeoutPeriod: "half", teamTimeoutDuration: 60,
+    possessionRule: "none", mode: "standard",
+};
+
+/**
+ * Finished game
+ */
+function playGame() {
+    const clock = new FakeClock();
+    const model = new GameModel({...specs, quarters: 1, overtime: false}, clock);
+    model.setRosters({home: [{number: "7", name: "Ann"}], guest: []});
+    model.startGame();
+    clock.advance(1000);
+    model.updateScore("home", 3, "7");
+    model.updateFouls("guest", "4");
+    model.updateTimer(60);
+    assert.equal(model.isOver(), true);
+    return model;
+}
+
+/**
+ * State of a finished game, ready to be exported
+ */
+function finishedGame() {
+    return playGame().getState();
+}
+
+describe("GameReport.fromJSON", () => {
+
+    it("reads back a game exported with toJSON", () => {
+        const state = finishedGame();
+        const report = GameReport.fromJSON(GameReport.toJSON(state));
+        assert.deepEqual(report, {format: GameReport.format, ...state});
+        const model = new GameModel(report.specs, new FakeClock());
+        model.restoreState(report);
+        assert.deepEqual(model.getScoreboard().scores, {home: 3, guest: 0});
+        assert.equal(model.getBoxScore().home.players[0].points, 3);
+    });
+
+    it("rejects the files that are not finished games of the scoreboard", () => {
+        assert.throws(() => GameReport.fromJSON("{"), /not a JSON file/);
+        assert.throws(() => GameReport.fromJSON('{"format": "other"}'), /not a game exported by the scoreboard/);
+        const unfinished = {...finishedGame(), gameOver: false};
+        assert.throws(() => GameReport.fromJSON(GameReport.toJSON(unfinished)), /does not hold a finished game/);
+        const {fouls, ...noFouls} = finishedGame();
+        assert.throws(() => GameReport.fromJSON(GameReport.toJSON(noFouls)), /statistics are missing/);
+    });
+
+    it("rejects the play-by-play entries that cannot be replayed", () => {
+        const damaged = (entry) => {
+            const state = finishedGame();
+            state.playLog[0] = {...state.playLog[0], ...entry};
+            return GameReport.toJSON(state);
+        };
+        [
+            {quarter: undefined}, {quarter: 2}, {quarter: 0}, {team: "visitors"}, {points: 4},
+            {action: "steal"}, {clock: "1:00"}, {clock: -1}, {overtime: null}, {timestamp: null},
+        ].forEach((entry) => {
+            assert.throws(() => GameReport.fromJSON(damaged(entry)), /play-by-play log cannot be read/);
+        });
+        assert.throws(() => GameReport.fromJSON(damaged(null).replace('"playLog": [\n    {', '"playLog": [null, {')));
+    });
+
+});
+
+describe("GameReport.toCSV", () => {
+
+    it("exports the result, the line score, the box score and the play-by-play", () => {
+        const model = playGame();
+        // As GameController.buildReport() does
+        const report = {
+            teams: {home: {name: "Bears, Chicago"}, guest: {name: "Wolves"}},
+            ...model.getState(),
+            winner: model.getWinner(),
+            lineScore: model.getLineScore(),
+            boxScore: model.getBoxScore(),
+        };
+        const rows = GameReport.toCSV(report).split("\r\n");
+        assert.equal(rows[0], 'Team,"Bears, Chicago",Wolves');
+        assert.equal(rows[1], "Final score,3,0");
+        assert.equal(rows[2], 'Winner,"Bears, Chicago"');
+        assert.equal(rows.includes("Q1,3,0,0,1"), true);
+        assert.equal(rows.some((row) => row.startsWith('"Bears, Chicago",7,Ann,3,0,0,1,0')), true);
+        assert.equal(rows.at(-2).startsWith('Q1,01:00,"Bears, Chicago",score,3,7,'), true);
+        assert.equal(rows.at(-1).startsWith("Q1,01:00,Wolves,foul,0,4,"), true);
+    });
+
+});
@@ -0,0 +1,300 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {EventEmitter} from "node:events";
+import {GameHost, ScoreboardServer, WebSocketClient} from "../server/scoreboard-server.mjs";
+import {FakeClock} from "./fake-clock.mjs";
+
+const specs = {
+    quarters: 4, quarterDuration: 60, timeOut: 10, halftime: 30,
+    foulPeriod: "quarter", bonusThreshold: 5, foulLimit: 5,
+    overtime: true, overtimeDuration: 30, shotClock: 24, shotClockOffensive: 14,
+    teamTimeouts: 2, teamTimeoutPeriod: "half", teamTimeoutDuration: 60,
+    possessionRule: "none", mode: "standard",
+};
+
+const rosters = {home: [], guest: []};
+
+/**
+ * Socket of an upgraded request, that keeps what the server writes to it
+ */
+class FakeSocket extends EventEmitter {
+
+    constructor() {
+        super();
+        this.written = [];
+        this.destroyed = false;
+    }
+
+    write(data) {
+        this.written.push(Buffer.from(data));
+    }
+
+    setNoDelay() {
+    }
+
+    end() {
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+
+}
+
+/**
+ * Frame sent by a client: masked, unless told otherwise
+ */
+function clientFrame(opcode, text, {fin = true, masked = true} = {}) {
+    const payload = Buffer.from(text);
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const header = Buffer.from([(fin ? 0x80 : 0) | opcode, (masked ? 0x80 : 0) | payload.length]);
+    if (!masked) {
+        return Buffer.concat([header, payload]);
+    }
+    return Buffer.concat([header, mask, payload.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+/**
+ * WebSocket connection on a fake socket, and the messages it received
+ */
+function connect() {
+    const socket = new FakeSocket();
+    const client = new WebSocketClient({headers: {"sec-websocket-key": "dGhlIHNhbXBsZSBub25jZQ=="}}, socket);
+    const messages = [];
+    client.on("message", (message) => messages.push(message));
+    return {socket, client, messages};
+}
+
+/**
+ * Game hosted on a fake clock, with its first quarter under way
+ */
+function hostGame(overrides = {}) {
+    const clock = new FakeClock();
+    const messages = [];
+    const host = new GameHost((message) => messages.push(message), clock);
+    host.startGame({...specs, ...overrides}, rosters);
+    clock.advance(1000);
+    return {clock, host, messages};
+}
+
+/**
+ * Client of the server, that keeps the messages it is sent
+ */
+function fakeClient() {
+    return {sent: [], send(message) {
+        this.sent.push(message);
+    }};
+}
+
+describe("WebSocketClient", () => {
+
+    it("answers the opening handshake", () => {
+        const {socket} = connect();
+        assert.match(socket.written[0].toString(), /^HTTP\/1\.1 101 /);
+        assert.match(socket.written[0].toString(), /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=/);
+    });
+
+    it("reads the JSON messages, whole, split across packets or fragmented", () => {
+        const {socket, messages} = connect();
+        socket.emit("data", clientFrame(0x1, '{"type":"hello"}'));
+        const frame = clientFrame(0x1, '{"type":"action"}');
+        socket.emit("data", frame.subarray(0, 5));
+        socket.emit("data", frame.subarray(5));
+        socket.emit("data", Buffer.concat([
+            clientFrame(0x1, '{"type":', {fin: false}), clientFrame(0x0, '"bye"}'),
+        ]));
+        assert.deepEqual(messages, [{type: "hello"}, {type: "action"}, {type: "bye"}]);
+    });
+
+    it("ignores the messages that are not JSON", () => {
+        const {socket, client, messages} = connect();
+        socket.emit("data", clientFrame(0x1, "not json"));
+        assert.deepEqual(messages, []);
+        assert.equal(client.closed, false);
+    });
+
+    it("answers pings, and closes the connection on unmasked frames", () => {
+        const {socket, client} = connect();
+        socket.emit("data", clientFrame(0x9, "ping"));
+        assert.deepEqual([...socket.written[1]], [0x8A, 4, ...Buffer.from("ping")]);
+        socket.emit("data", clientFrame(0x1, "{}", {masked: false}));
+        assert.deepEqual([...socket.written[2]], [0x88, 2, 0x03, 0xEA]);
+        assert.equal(client.closed, true);
+        assert.equal(socket.destroyed, true);
+    });
+
+});
+
+describe("ScoreboardServer.messageHandler", () => {
+
+    /**
+     * Server that is not listening, its game on a fake clock
+     */
+    function createServer() {
+        const server = new ScoreboardServer(0);
+        server.host = new GameHost(server.broadcast.bind(server), new FakeClock());
+        return server;
+    }
+
+    it("ignores the messages that are not objects", () => {
+        const server = createServer();
+        const client = fakeClient();
+        server.clients.set(client, "controller");
+        [null, 5, "hello", []].forEach((message) => server.messageHandler(client, message));
+        assert.deepEqual(client.sent, []);
+    });
+
+    it("rejects the actions of displays, and the actions that fail", () => {
+        const server = createServer();
+        const display = fakeClient();
+        const controller = fakeClient();
+        server.clients.set(display, "display");
+        server.messageHandler(controller, {type: "hello", role: "controller"});
+        server.messageHandler(display, {type: "action", action: "stopClock", args: []});
+        server.messageHandler(controller, {type: "action", action: "stopClock", args: []});
+        server.messageHandler(controller, {type: "action", action: "startGame", args: null});
+        assert.deepEqual(display.sent.map((message) => message.message), ["This scoreboard is a read-only display!"]);
+        assert.deepEqual(controller.sent.map((message) => message.message), [
+            "No game in progress, start a new game first!", 'Unknown action "startGame"',
+        ]);
+    });
+
+    it("sends the game in progress to the clients that introduce themselves", () => {
+        const server = createServer();
+        const controller = fakeClient();
+        server.clients.set(controller, "display");
+        server.messageHandler(controller, {type: "hello", role: "controller"});
+        server.messageHandler(controller, {type: "action", action: "startGame", args: [specs, rosters]});
+        const client = fakeClient();
+        server.messageHandler(client, {type: "hello", role: "display"});
+        assert.deepEqual(client.sent.map((message) => message.type), ["game"]);
+        assert.equal(server.clients.get(client), "display");
+        assert.equal(server.clients.get(controller), "controller");
+    });
+
+});
+
+describe("GameHost.perform", () => {
+
+    it("applies the actions, and tells the clients about them", () => {
+        const {host, messages} = hostGame();
+        host.perform("updateScore", ["home", 3, "7"]);
+        host.perform("updateFouls", ["guest", "4"]);
+        assert.deepEqual(host.model.getScoreboard().scores, {home: 3, guest: 0});
+        assert.equal(host.model.getScoreboard().fouls.guest, 1);
+        assert.equal(messages.some((message) => message.event === "foulCommitted"), true);
+        assert.equal(host.snapshot.scoreboard.scores.home, 3);
+    });
+
+    it("rejects unknown actions and malformed arguments", () => {
+        const {host} = hostGame();
+        assert.throws(() => host.perform("endGame", []), /Unknown action/);
+        assert.throws(() => host.perform("updateScore", "home"), /Unknown action/);
+        assert.throws(() => host.perform("updateScore", ["visitors", 2, null]), /Invalid team!/);
+        assert.throws(() => host.perform("updateScore", ["home", 4, null]), /Invalid number of points!/);
+        assert.throws(() => host.perform("updateScore", ["home", 2, 7]), /Select the player who scored/);
+        assert.throws(() => host.perform("updateFouls", ["home", null]), /Select the player who committed the foul!/);
+        assert.throws(() => host.perform("adjustTimer", ["10"]), /Invalid clock correction!/);
+        assert.deepEqual(host.model.getScoreboard().scores, {home: 0, guest: 0});
+    });
+
+    it("rejects the actions the game no longer allows", () => {
+        const {host} = hostGame();
+        host.perform("stopClock", []);
+        assert.throws(() => host.perform("stopClock", []), /Clock can only be stopped/);
+        assert.throws(() => host.perform("updateScore", ["home", 2, null]), /score is frozen/);
+        host.perform("restartClock", []);
+        assert.throws(() => host.perform("restartClock", []), /already running/);
+    });
+
+    it("runs the game clock, and the break in between quarters", () => {
+        const {clock, host} = hostGame();
+        clock.advance(30000);
+        assert.equal(host.model.timer, 30);
+        clock.advance(30000);
+        assert.equal(host.model.isPaused(), true);
+        clock.advance(10000);
+        assert.equal(host.model.quarter, 2);
+    });
+
+});
+
+describe("GameHost.undoRedo", () => {
+
+    it("undoes and redoes the last action", () => {
+        const {host} = hostGame();
+        host.perform("updateScore", ["home", 2, null]);
+        const entry = host.model.playLog[0];
+        host.perform("undo", [entry.timestamp]);
+        assert.equal(host.model.getScoreboard().scores.home, 0);
+        host.perform("redo", [entry.timestamp]);
+        assert.equal(host.model.getScoreboard().scores.home, 2);
+    });
+
+    it("refuses to undo an action that is no longer the last one", () => {
+        const {clock, host} = hostGame();
+        host.perform("updateScore", ["home", 2, null]);
+        const entry = host.model.playLog[0];
+        clock.advance(1000);
+        host.perform("updateScore", ["guest", 3, null]);
+        assert.throws(() => host.perform("undo", [entry.timestamp]), /changed by another operator/);
+        assert.throws(() => host.perform("redo", [entry.timestamp]), /Nothing to redo!/);
+        assert.equal(host.model.getScoreboard().scores.home, 2);
+    });
+
+    it("only reopens a game over with the basket that ended it on the score limit", () => {
+        const {host, messages} = hostGame({mode: "3x3", quarters: 1, quarterDuration: 600});
+        for (let basket = 0; basket < 10; basket++) {
+            host.perform("updateScore", ["home", 2, null]);
+        }
+        host.perform("updateScore", ["home", 1, null]);
+        assert.equal(host.model.isOver(), true);
+        assert.throws(() => host.perform("redo", [undefined]), /Game is over/);
+        host.perform("undo", [host.model.playLog.at(-1).timestamp]);
+        assert.equal(host.model.isOver(), false);
+        assert.equal(messages.some((message) => message.event === "gameReopened"), true);
+
+        const {clock, host: otherHost} = hostGame({quarters: 1, overtime: false});
+        otherHost.perform("updateScore", ["home", 2, null]);
+        clock.advance(60000);
+        assert.equal(otherHost.model.isOver(), true);
+        assert.throws(() => otherHost.perform("undo", [otherHost.model.playLog[0].timestamp]), /Game is over/);
+    });
+
+});
+
+describe("GameHost.startGame", () => {
+
+    it("replaces the game in progress, and stops its clocks", () => {
+        const {clock, host, messages} = hostGame();
+        clock.advance(500);
+        host.perform("updateScore", ["home", 2, null]);
+        const previousModel = host.model;
+        host.startGame({...specs, quarters: 2}, rosters);
+        assert.notEqual(host.model, previousModel);
+        assert.equal(messages.filter((message) => message.type === "game").length, 2);
+        clock.advance(5000);
+        assert.equal(previousModel.timer, 59.5);
+        assert.equal(host.model.quarter, 1);
+        assert.deepEqual(host.model.getScoreboard().scores, {home: 0, guest: 0});
+    });
+
+    it("keeps the game in progress when the specifications or the rosters are not valid", () => {
+        const {clock, host} = hostGame();
+        const model = host.model;
+        assert.throws(() => host.startGame({...specs, quarters: 0}, rosters), /Number of periods/);
+        assert.throws(() => host.startGame({...specs, halftime: -30}, rosters), /Half time break/);
+        assert.throws(() => host.startGame({...specs, shotClock: "24"}, rosters), /Shot clock must be/);
+        assert.throws(() => host.startGame({...specs, teamTimeoutDuration: NaN}, rosters), /Team timeout duration/);
+        assert.throws(() => host.startGame({...specs, shotClockOffensive: 30}, rosters), /cannot exceed/);
+        assert.throws(() => host.startGame({...specs, foulPeriod: "game"}, rosters), /Invalid game specifications!/);
+        assert.throws(() => host.startGame({...specs, possessionRule: "x"}, rosters), /Invalid game specifications!/);
+        assert.throws(() => host.startGame({...specs, mode: "bogus"}, rosters), /Invalid game specifications!/);
+        assert.throws(() => host.startGame(null, rosters), /Invalid game specifications!/);
+        assert.throws(() => host.startGame(specs, {home: null}), /Invalid rosters!/);
+        assert.equal(host.model, model);
+        clock.advance(10000);
+        assert.equal(host.model.timer, 50);
+    });
+
+});
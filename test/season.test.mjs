@@ -0,0 +1,121 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {Season} from "../src/js/game-engine.mjs";
+
+const specs = {quarters: 4, quarterDuration: 600, timeOut: 120};
+
+/**
+ * Season of four teams, with a fixture between each pair of them
+ */
+function createSeason() {
+    const season = new Season();
+    ["Bears", "Wolves", "Hawks", "Lions"].forEach((team) => season.addTeam(team));
+    const fixtures = {};
+    [["Bears", "Wolves"], ["Hawks", "Lions"], ["Bears", "Hawks"], ["Wolves", "Lions"]].forEach(([home, guest]) => {
+        fixtures[`${home}-${guest}`] = season.addFixture(home, guest, specs);
+    });
+    return {season, fixtures};
+}
+
+/**
+ * Play a fixture to the given final score
+ */
+function play(season, fixture, home, guest) {
+    season.startFixture(fixture.id);
+    return season.recordResult({home, guest}, 1000);
+}
+
+describe("Season teams and fixtures", () => {
+
+    it("only takes teams with a name of their own", () => {
+        const {season} = createSeason();
+        assert.equal(season.addTeam(""), false);
+        assert.equal(season.addTeam("Bears"), false);
+        assert.equal(season.teams.length, 4);
+    });
+
+    it("only takes fixtures between two different teams of the league", () => {
+        const {season} = createSeason();
+        assert.equal(season.addFixture("Bears", "Bears", specs), null);
+        assert.equal(season.addFixture("Bears", "Sharks", specs), null);
+        const fixture = season.addFixture("Lions", "Bears", specs);
+        assert.deepEqual(fixture, {id: 5, home: "Lions", guest: "Bears", specs: specs, result: null});
+    });
+
+    it("keeps the fixtures played", () => {
+        const {season, fixtures} = createSeason();
+        play(season, fixtures["Bears-Wolves"], 80, 70);
+        assert.equal(season.removeFixture(fixtures["Bears-Wolves"].id), false);
+        assert.equal(season.startFixture(fixtures["Bears-Wolves"].id), null);
+        assert.equal(season.removeFixture(fixtures["Hawks-Lions"].id), true);
+        assert.equal(season.fixtures.length, 3);
+    });
+
+    it("stores the result of the live fixture only", () => {
+        const {season, fixtures} = createSeason();
+        assert.equal(season.recordResult({home: 1, guest: 0}, 1000), null);
+        assert.equal(season.startFixture(fixtures["Hawks-Lions"].id), fixtures["Hawks-Lions"]);
+        assert.equal(season.liveFixtureId, fixtures["Hawks-Lions"].id);
+        season.recordResult({home: 60, guest: 62}, 2000);
+        assert.deepEqual(fixtures["Hawks-Lions"].result, {home: 60, guest: 62, playedAt: 2000});
+        assert.equal(season.liveFixtureId, null);
+    });
+
+    it("takes the result of a reopened fixture back", () => {
+        const {season, fixtures} = createSeason();
+        const fixture = fixtures["Bears-Hawks"];
+        assert.equal(season.reopenFixture(fixture.id), null);
+        play(season, fixture, 21, 19);
+        assert.equal(season.reopenFixture(fixture.id), fixture);
+        assert.equal(fixture.result, null);
+        assert.equal(season.liveFixtureId, fixture.id);
+    });
+
+    it("remembers the settings of the teams of the league", () => {
+        const {season} = createSeason();
+        const roster = [{number: "7", name: "Ann"}];
+        assert.equal(season.setTeamRecord("Sharks", {color: "#000000", logo: null, roster}), false);
+        season.setTeamRecord("Bears", {color: "#ff0000", logo: null, roster});
+        roster.push({number: "8", name: "Bob"});
+        assert.deepEqual(season.getTeamRecord("Bears"), {color: "#ff0000", logo: null, roster: [roster[0]]});
+        assert.equal(season.getTeamRecord("Wolves"), null);
+    });
+
+    it("is restored from its state", () => {
+        const {season, fixtures} = createSeason();
+        play(season, fixtures["Bears-Wolves"], 80, 70);
+        season.startFixture(fixtures["Hawks-Lions"].id);
+        season.setTeamRecord("Bears", {color: "#ff0000", logo: null, roster: []});
+        const restored = new Season(JSON.parse(JSON.stringify(season.getState())));
+        assert.deepEqual(restored.getState(), season.getState());
+        assert.equal(restored.addFixture("Bears", "Lions", specs).id, 5);
+    });
+
+});
+
+describe("Season.getStandings", () => {
+
+    it("ranks the teams on wins, then point differential, then points scored", () => {
+        const {season, fixtures} = createSeason();
+        play(season, fixtures["Bears-Wolves"], 80, 70);
+        play(season, fixtures["Hawks-Lions"], 75, 60);
+        play(season, fixtures["Bears-Hawks"], 50, 50);
+        play(season, fixtures["Wolves-Lions"], 90, 80);
+        const standings = season.getStandings();
+        assert.deepEqual(standings.map((line) => line.team), ["Hawks", "Bears", "Wolves", "Lions"]);
+        assert.deepEqual(standings[1], {
+            team: "Bears", played: 2, wins: 1, losses: 0, draws: 1,
+            pointsFor: 130, pointsAgainst: 120, difference: 10,
+        });
+        assert.deepEqual(standings[3], {
+            team: "Lions", played: 2, wins: 0, losses: 2, draws: 0,
+            pointsFor: 140, pointsAgainst: 165, difference: -25,
+        });
+    });
+
+    it("lists the teams that have not played yet", () => {
+        const {season} = createSeason();
+        assert.deepEqual(season.getStandings().map((line) => line.played), [0, 0, 0, 0]);
+    });
+
+});